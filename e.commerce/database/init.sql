@@ -14,6 +14,19 @@ CREATE TABLE IF NOT EXISTS users (
     is_active BOOLEAN DEFAULT true
 );
 
+-- Email verification status (for login-service)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Two-factor authentication (for login-service)
+-- mfa_secret is set at enrolment and only used once mfa_enabled is confirmed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT;
+
+-- Set when an account is erased; the row stays so orders and sessions keep their user_id
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
 -- Products table (for product-service)
 CREATE TABLE IF NOT EXISTS products (
     id SERIAL PRIMARY KEY,
@@ -29,6 +42,206 @@ CREATE TABLE IF NOT EXISTS products (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Option types a product's variants differ by, e.g. Size with values S, M, L (for product-service)
+CREATE TABLE IF NOT EXISTS product_options (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    option_values TEXT[] NOT NULL,
+    position INTEGER DEFAULT 0,
+    UNIQUE (product_id, name)
+);
+
+-- Sellable variants of a product, e.g. { "Size": "M", "Colour": "Red" }.
+-- price overrides the product price when set.
+CREATE TABLE IF NOT EXISTS product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(50) UNIQUE NOT NULL,
+    options JSONB NOT NULL DEFAULT '{}',
+    price DECIMAL(10,2),
+    stock_quantity INTEGER DEFAULT 0,
+    image_url VARCHAR(500),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A "was" price to show next to the price; ignored unless it is higher than what the product sells for
+ALTER TABLE products ADD COLUMN IF NOT EXISTS compare_at_price DECIMAL(10,2);
+
+-- Scheduled pricing (for product-service). A 'change' replaces the price from starts_at on and is
+-- marked applied once written to the product or variant. A 'sale' sets a temporary price from
+-- starts_at until ends_at. variant_id targets one variant; without it the schedule is for the
+-- product, and its variants that have no price of their own.
+CREATE TABLE IF NOT EXISTS price_schedules (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('change', 'sale')),
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    note VARCHAR(200),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    CHECK (kind = 'change' OR ends_at > starts_at)
+);
+
+-- Every change to a product's or variant's own price, however it was made
+CREATE TABLE IF NOT EXISTS price_history (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    previous_price DECIMAL(10,2),
+    price DECIMAL(10,2),
+    source VARCHAR(20) NOT NULL,
+    schedule_id INTEGER REFERENCES price_schedules(id) ON DELETE SET NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The latest due price change per product or variant. Due changes count even before the
+-- scheduler has written them, so checkout never charges an outdated price.
+CREATE OR REPLACE VIEW due_price_changes AS
+SELECT DISTINCT ON (product_id, variant_id) product_id, variant_id, price
+FROM price_schedules
+WHERE kind = 'change' AND status = 'scheduled' AND starts_at <= NOW()
+ORDER BY product_id, variant_id, starts_at DESC, id DESC;
+
+-- The lowest sale in effect per product or variant
+CREATE OR REPLACE VIEW active_sales AS
+SELECT DISTINCT ON (product_id, variant_id) product_id, variant_id, price, ends_at
+FROM price_schedules
+WHERE kind = 'sale' AND status = 'scheduled' AND starts_at <= NOW() AND ends_at > NOW()
+ORDER BY product_id, variant_id, price, id;
+
+-- What every product (variant_id NULL) and variant sells for right now; used by product-service
+-- to show prices and by order-service to charge them. A variant without its own price follows
+-- the product's price, sales and compare-at price.
+CREATE OR REPLACE VIEW current_prices AS
+SELECT
+    product_id,
+    variant_id,
+    base_price,
+    COALESCE(sale_price, base_price) as price,
+    CASE
+        WHEN sale_price < base_price THEN base_price
+        WHEN compare_at_price > COALESCE(sale_price, base_price) THEN compare_at_price
+    END as compare_at_price,
+    sale_ends_at
+FROM (
+    SELECT
+        p.id as product_id,
+        NULL::integer as variant_id,
+        COALESCE(pc.price, p.price) as base_price,
+        s.price as sale_price,
+        s.ends_at as sale_ends_at,
+        p.compare_at_price
+    FROM products p
+    LEFT JOIN due_price_changes pc ON pc.product_id = p.id AND pc.variant_id IS NULL
+    LEFT JOIN active_sales s ON s.product_id = p.id AND s.variant_id IS NULL
+    UNION ALL
+    SELECT
+        v.product_id,
+        v.id,
+        COALESCE(vc.price, v.price, pc.price, p.price),
+        COALESCE(vs.price, CASE WHEN vc.price IS NULL AND v.price IS NULL THEN s.price END),
+        CASE WHEN vs.price IS NOT NULL THEN vs.ends_at WHEN vc.price IS NULL AND v.price IS NULL THEN s.ends_at END,
+        CASE WHEN vc.price IS NULL AND v.price IS NULL THEN p.compare_at_price END
+    FROM product_variants v
+    JOIN products p ON v.product_id = p.id
+    LEFT JOIN due_price_changes vc ON vc.variant_id = v.id
+    LEFT JOIN due_price_changes pc ON pc.product_id = v.product_id AND pc.variant_id IS NULL
+    LEFT JOIN active_sales vs ON vs.variant_id = v.id
+    LEFT JOIN active_sales s ON s.product_id = v.product_id AND s.variant_id IS NULL
+) prices;
+
+-- Category tree (for product-service). slug is the lowercased, hyphenated name, so names that
+-- differ only in case or punctuation are the same category.
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) UNIQUE NOT NULL,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+    position INTEGER DEFAULT 0,
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Products can be in several categories. products.category keeps the name of the first one.
+CREATE TABLE IF NOT EXISTS product_categories (
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    PRIMARY KEY (product_id, category_id)
+);
+
+-- Product images (for product-service). Files are in the storage driver under storage_key;
+-- position orders a product's images, the first being its main image.
+CREATE TABLE IF NOT EXISTS product_images (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    storage_key VARCHAR(200) UNIQUE NOT NULL,
+    original_filename VARCHAR(255),
+    content_type VARCHAR(50) NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    size_bytes INTEGER,
+    alt_text VARCHAR(300),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer reviews (for product-service); one per customer per product. Only approved reviews
+-- are shown and counted in ratings.
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(200),
+    body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    verified_purchase BOOLEAN DEFAULT false,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    moderation_note TEXT,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, user_id)
+);
+
+-- "Helpful" votes on reviews; product_reviews.helpful_count is kept in step
+CREATE TABLE IF NOT EXISTS review_votes (
+    review_id INTEGER REFERENCES product_reviews(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, user_id)
+);
+
+-- Bulk catalog imports (for product-service); results holds one entry per uploaded row
+CREATE TABLE IF NOT EXISTS catalog_import_jobs (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    format VARCHAR(10) NOT NULL,
+    dry_run BOOLEAN DEFAULT false,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    processed_rows INTEGER NOT NULL DEFAULT 0,
+    summary JSONB NOT NULL DEFAULT '{}',
+    results JSONB NOT NULL DEFAULT '[]',
+    error TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
 -- Orders table (for order-service)
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
@@ -51,15 +264,349 @@ CREATE TABLE IF NOT EXISTS order_items (
     total_price DECIMAL(10,2) NOT NULL
 );
 
+-- Set when the item is a product variant; stock is then taken from the variant
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+
+-- Stock held for a checkout in progress (for order-service). Held quantities stay in
+-- stock_quantity until the reservation is confirmed into an order.
+CREATE TABLE IF NOT EXISTS reservations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    expires_at TIMESTAMP NOT NULL,
+    order_id INTEGER REFERENCES orders(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reservation_items (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER REFERENCES reservations(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id),
+    variant_id INTEGER REFERENCES product_variants(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+-- Items currently held; available stock is stock_quantity minus these
+CREATE OR REPLACE VIEW active_reservation_items AS
+SELECT ri.reservation_id, ri.product_id, ri.variant_id, ri.quantity
+FROM reservation_items ri
+JOIN reservations r ON ri.reservation_id = r.id
+WHERE r.status = 'active' AND r.expires_at > NOW();
+
+-- Customers' shopping carts (for order-service); guest carts are kept in Redis. A line is a
+-- product, or one of its variants when variant_id is set.
+CREATE TABLE IF NOT EXISTS cart_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Set when the customer's account is erased and the addresses are removed
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+-- Every change of an order's status, starting with the status it was placed in (from_status NULL).
+-- changed_by is the staff member or customer who made it, when known.
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    note VARCHAR(500),
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Orders placed before the history existed get their creation and, if it has changed since,
+-- their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT o.id, NULL, 'pending', o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+SELECT o.id, 'pending', o.status, 'Recorded before status history was kept', o.updated_at
+FROM orders o
+WHERE o.status <> 'pending'
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.from_status IS NOT NULL);
+
+-- Low-stock alerts go out when stock on hand drops below this; NULL means no alerts
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_threshold INTEGER CHECK (reorder_threshold >= 0);
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS reorder_threshold INTEGER CHECK (reorder_threshold >= 0);
+
+-- Inventory ledger (shared/stockLedger.js): one row per change to a product's or variant's
+-- stock_quantity, with the stock after it and why it changed
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    variant_id INTEGER REFERENCES product_variants(id),
+    quantity_change INTEGER NOT NULL CHECK (quantity_change <> 0),
+    quantity_after INTEGER NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('sale', 'cancellation', 'restock', 'adjustment', 'return')),
+    order_id INTEGER REFERENCES orders(id),
+    note VARCHAR(500),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The ledger is append-only: movements cannot be deleted or rewritten, only added
+CREATE OR REPLACE FUNCTION reject_inventory_movement_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'inventory_movements is append-only; record a new movement instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_movements_append_only ON inventory_movements;
+CREATE TRIGGER inventory_movements_append_only
+    BEFORE UPDATE OF product_id, variant_id, quantity_change, quantity_after, reason, order_id, note, created_at OR DELETE
+    ON inventory_movements
+    FOR EACH ROW EXECUTE FUNCTION reject_inventory_movement_change();
+
+-- Promotions (for order-service/promotions.js). One with a code is a coupon entered at checkout;
+-- one without applies by itself to every order it qualifies for. kind is one of:
+--   percentage     value percent off the items in scope
+--   fixed          value off the items in scope, shared across them by price
+--   free_shipping  no shipping charge on the order
+--   buy_x_get_y    of every buy_quantity + get_quantity items in scope, the cheapest get_quantity
+--                  are get_discount_percent off (100 makes them free)
+-- Empty product_ids and category_ids put every product in scope; a category includes its
+-- subcategories. Usage limits count orders that were not cancelled.
+CREATE TABLE IF NOT EXISTS promotions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50) UNIQUE,
+    description TEXT,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('percentage', 'fixed', 'free_shipping', 'buy_x_get_y')),
+    value DECIMAL(10,2) CHECK (value > 0),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    get_discount_percent DECIMAL(5,2) NOT NULL DEFAULT 100 CHECK (get_discount_percent > 0 AND get_discount_percent <= 100),
+    min_subtotal DECIMAL(10,2) CHECK (min_subtotal >= 0),
+    product_ids INTEGER[] NOT NULL DEFAULT '{}',
+    category_ids INTEGER[] NOT NULL DEFAULT '{}',
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    usage_limit_per_user INTEGER CHECK (usage_limit_per_user > 0),
+    starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Each item's share of the discount is on the item. free_shipping is set when a promotion waived
+-- shipping.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal_amount DECIMAL(10,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS free_shipping BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+UPDATE orders SET subtotal_amount = total_amount WHERE subtotal_amount IS NULL;
+
+-- The promotions applied to an order and how much each took off. name, code and kind are copied
+-- so the order reads the same after the promotion changes.
+CREATE TABLE IF NOT EXISTS order_discounts (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    promotion_id INTEGER REFERENCES promotions(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50),
+    kind VARCHAR(20) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Product weights in kilograms, for shipping rates by weight; a variant without one weighs what
+-- its product does
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight DECIMAL(10,3) CHECK (weight >= 0);
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS weight DECIMAL(10,3) CHECK (weight >= 0);
+
+-- Tax rates (for order-service/charges.js) by destination country, optionally narrowed to a
+-- region (state, province) and to a category with its subcategories. rate is a percentage; the
+-- most specific rate for an item applies.
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    country CHAR(2) NOT NULL,
+    region VARCHAR(10),
+    category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+    rate DECIMAL(6,3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shipping methods (for order-service/charges.js). rates is a table of [{ "min": ..., "amount": ... }]
+-- tiers: the order pays the amount of the highest tier whose min it reaches, in kilograms for
+-- basis weight or in goods total for basis price. A flat method has a single tier. Empty
+-- countries means the method ships everywhere.
+CREATE TABLE IF NOT EXISTS shipping_methods (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    basis VARCHAR(10) NOT NULL CHECK (basis IN ('flat', 'weight', 'price')),
+    rates JSONB NOT NULL DEFAULT '[]',
+    countries TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- An order's charges: total_amount is the grand total, subtotal_amount less discount_amount plus
+-- shipping_amount and tax_amount, except that tax already in the prices (prices_include_tax) is
+-- not added again. The destination is kept for the tax it was charged.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_method VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_country CHAR(2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_region VARCHAR(10);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(6,3) NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Orders still pending at payment_due_at are cancelled (order-service/payments.js); orders placed
+-- before payments were taken have none and are left alone
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMP;
+
+-- Payment attempts (for order-service/payments.js). provider_reference is the provider's id for
+-- the payment. A pending payment is waiting for the provider to report the outcome.
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_reference VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    currency CHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'authorized', 'captured', 'failed', 'voided', 'refunded', 'partially_refunded')),
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0 AND refunded_amount <= amount),
+    failure_reason VARCHAR(255),
+    captured_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook events already handled, so a provider's retries are not applied twice
+CREATE TABLE IF NOT EXISTS payment_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    status VARCHAR(20),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, event_id)
+);
+
 -- Sessions table (for login-service)
+-- One row per login; every refresh token issued for that login belongs to it
 CREATE TABLE IF NOT EXISTS user_sessions (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id),
-    session_token VARCHAR(255) UNIQUE NOT NULL,
     expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sessions used to store the whole JWT; access tokens are now short-lived and never stored
+ALTER TABLE user_sessions DROP COLUMN IF EXISTS session_token;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- Device details so users can see where they are logged in
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+
+-- Refresh tokens (for login-service), stored as SHA-256 hashes and rotated on every use
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use tokens for email verification and password reset (for login-service)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time 2FA recovery codes (for login-service), stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Roles and permissions (for login-service)
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS permissions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id INTEGER REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE,
+    granted_by INTEGER REFERENCES users(id),
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role_id)
+);
+
+-- Account deletion requests (for login-service); pending ones are carried out once scheduled_for passes
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    reason TEXT,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    scheduled_for TIMESTAMP NOT NULL,
+    cancelled_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    last_error TEXT
+);
+
+-- API keys for service-to-service calls; key_hash is an HMAC of the key using API_SECRET
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES api_keys(id) ON DELETE SET NULL
+);
+
 -- Insert sample data
 INSERT INTO users (username, email, password_hash, first_name, last_name) VALUES
 ('john_doe', 'john@example.com', '$2b$10$example_hash_here', 'John', 'Doe'),
@@ -74,6 +621,75 @@ INSERT INTO products (name, description, price, category, stock_quantity, sku) V
 ('Smartphone', 'Latest smartphone with advanced features', 899.99, 'Electronics', 30, 'PHONE-001')
 ON CONFLICT (sku) DO NOTHING;
 
+-- Turn the free-text products.category values into top-level categories and link the products.
+-- The slug expression must match slugify() in product-service/categories.js.
+INSERT INTO categories (name, slug)
+SELECT DISTINCT ON (slug) name, slug
+FROM (
+    SELECT
+        TRIM(category) as name,
+        TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-', 'g')) as slug
+    FROM products
+    WHERE category IS NOT NULL
+) legacy
+WHERE slug <> ''
+ORDER BY slug, name
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO product_categories (product_id, category_id)
+SELECT p.id, c.id
+FROM products p
+JOIN categories c ON c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(p.category)), '[^a-z0-9]+', '-', 'g'))
+ON CONFLICT DO NOTHING;
+
+-- Start the ledger of stock that predates it with an opening balance per product and variant
+INSERT INTO inventory_movements (product_id, quantity_change, quantity_after, reason, note)
+SELECT p.id, p.stock_quantity, p.stock_quantity, 'adjustment', 'Opening balance'
+FROM products p
+WHERE p.stock_quantity <> 0
+  AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = p.id AND m.variant_id IS NULL);
+
+INSERT INTO inventory_movements (product_id, variant_id, quantity_change, quantity_after, reason, note)
+SELECT v.product_id, v.id, v.stock_quantity, v.stock_quantity, 'adjustment', 'Opening balance'
+FROM product_variants v
+WHERE v.stock_quantity <> 0
+  AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.variant_id = v.id);
+
+INSERT INTO roles (name, description) VALUES
+('customer', 'Regular shopper'),
+('support', 'Customer support staff with read access to accounts'),
+('admin', 'Full administrative access')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO permissions (name, description) VALUES
+('users:read', 'List and view user accounts'),
+('users:write', 'Deactivate user accounts'),
+('roles:manage', 'Grant and revoke user roles'),
+('keys:manage', 'Rotate and retire token signing keys'),
+('products:write', 'Create, update and delete products'),
+('orders:manage', 'View all orders and change order status'),
+('api_keys:manage', 'Create, rotate and revoke service API keys'),
+('privacy:manage', 'Export and anonymise customer data across services'),
+('reviews:moderate', 'Approve, reject and delete product reviews'),
+('inventory:manage', 'Adjust stock and view the inventory ledger and low-stock report'),
+('promotions:manage', 'Create and change coupons and automatic promotions'),
+('charges:manage', 'Set up tax rates and shipping methods'),
+('payments:manage', 'View, capture, void and refund payments')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r, permissions p
+WHERE (r.name = 'support' AND p.name = 'users:read')
+   OR r.name = 'admin'
+ON CONFLICT DO NOTHING;
+
+-- Every existing user starts out as a customer. Promote the first admin by hand:
+--   INSERT INTO user_roles (user_id, role_id)
+--   SELECT u.id, r.id FROM users u, roles r WHERE u.username = '<name>' AND r.name = 'admin';
+INSERT INTO user_roles (user_id, role_id)
+SELECT u.id, r.id FROM users u, roles r WHERE r.name = 'customer'
+ON CONFLICT DO NOTHING;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
@@ -81,5 +697,42 @@ CREATE INDEX IF NOT EXISTS idx_products_sku ON products(sku);
 CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
-CREATE INDEX IF NOT EXISTS idx_sessions_token ON user_sessions(session_token);
-CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON user_sessions(user_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_product_categories_category_id ON product_categories(category_id);
+CREATE INDEX IF NOT EXISTS idx_price_schedules_product_id ON price_schedules(product_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_price_schedules_due ON price_schedules(starts_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_price_history_product_id ON price_history(product_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product_id ON inventory_movements(product_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_variant_id ON inventory_movements(variant_id, created_at) WHERE variant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order_id ON inventory_movements(order_id) WHERE order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id, position);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_status ON product_reviews(product_id, status);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_status ON product_reviews(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reservations_active ON reservations(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_reservation_items_reservation_id ON reservation_items(reservation_id);
+CREATE INDEX IF NOT EXISTS idx_reservation_items_product_id ON reservation_items(product_id);
+CREATE INDEX IF NOT EXISTS idx_reservation_items_variant_id ON reservation_items(variant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_options ON product_variants(product_id, options) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_promotions_automatic ON promotions(starts_at) WHERE code IS NULL AND is_active = true;
+CREATE INDEX IF NOT EXISTS idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_discounts_promotion_id ON order_discounts(promotion_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rates_scope ON tax_rates(country, (COALESCE(region, '')), (COALESCE(category_id, 0)));
+CREATE INDEX IF NOT EXISTS idx_orders_payment_due ON orders(payment_due_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_reference ON payments(provider, provider_reference);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line ON cart_items(user_id, product_id, (COALESCE(variant_id, 0)));
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_id ON user_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletion_requests_pending ON account_deletion_requests(user_id) WHERE status = 'pending';
+
+-- Full-text search over products (for product-service); the expression must match SEARCH_VECTOR there
+CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN ((
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(sku, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+));
\ No newline at end of file
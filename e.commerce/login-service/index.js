@@ -5,11 +5,17 @@
 
 const express = require('express');
 const { Pool } = require('pg');
+const redis = require('redis');
 const bcrypt = require('bcryptjs');  // Changed from 'bcrypt' to 'bcryptjs'
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const cors = require('cors');
 const path = require('path');
+const { createMailer } = require('./mailer');
+const { createRateLimiter } = require('./rateLimiter');
+const totp = require('./totp');
+const { createKeyStore } = require('./keys');
+const { generateApiKey, hashApiKey, createApiKeyVerifier } = require('../shared/apiKeys');
+const { csvValue } = require('../shared/csv');
 
 
 const app = express();
@@ -26,8 +32,127 @@ const pool = new Pool({
   port: process.env.DB_PORT || 5432,
 });;
 
-// JWT secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
+// Durations like '15m', '1h' or plain seconds
+const durationToSeconds = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return parseInt(match[1]) * { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 }[match[2]];
+};
+
+// Tokens are signed with asymmetric keys (RS256 or ES256) and published at /.well-known/jwks.json,
+// so other services can verify them without calling this service or sharing a secret.
+// Keys live in JWT_KEYS_DIR (shared between instances); one is generated on first start.
+const keyStore = createKeyStore({
+  dir: process.env.JWT_KEYS_DIR || path.join(__dirname, 'keys'),
+  algorithm: process.env.JWT_ALGORITHM || 'RS256',
+  activeKid: process.env.JWT_ACTIVE_KID || null
+});
+const JWT_ISSUER = process.env.JWT_ISSUER || 'login-service';
+
+// Pick up keys rotated by another instance
+setInterval(() => {
+  try {
+    keyStore.load();
+  } catch (err) {
+    console.error('Error reloading signing keys:', err);
+  }
+}, 60 * 1000).unref();
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL_SECONDS = durationToSeconds(process.env.ACCESS_TOKEN_TTL || '15m');
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Email verification: 'required' blocks login until verified, 'limited' allows login
+// but keeps unverified accounts out of routes guarded by requireVerifiedEmail, 'off' skips it
+const EMAIL_VERIFICATION_MODE = process.env.EMAIL_VERIFICATION_MODE || 'limited';
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Two-factor authentication: name shown in authenticator apps, and how long the
+// intermediate token from a password-only login stays valid
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Felix Commerce';
+const MFA_TOKEN_TTL_SECONDS = durationToSeconds(process.env.MFA_TOKEN_TTL || '5m');
+const MFA_RECOVERY_CODE_COUNT = 10;
+
+// Links in emails point back at this page
+const CLIENT_URL = process.env.CLIENT_URL || `http://localhost:${port}`;
+
+const mailer = createMailer();
+
+// Account deletion: requests can be cancelled during the grace period, after which the account is anonymised
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Order history for data exports and erasure comes from order-service, called with an
+// API key that has the privacy:manage scope. Guest carts are merged there at login.
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://order-service:3002';
+const ORDER_SERVICE_API_KEY = process.env.ORDER_SERVICE_API_KEY || '';
+
+// Redis connection (rate limits and account lockouts)
+// Commands fail straight away while disconnected instead of queueing, so the limiter can fail open
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  disableOfflineQueue: true
+});
+
+redisClient.on('error', (err) => console.log('Redis Client Error', err));
+redisClient.connect();
+
+// Per-route rate limits, each window in seconds. Override any part with RATE_LIMITS,
+// e.g. RATE_LIMITS='{"login":{"ip":{"max":50}}}'
+const defaultRateLimits = {
+  login: { ip: { windowSeconds: 15 * 60, max: 20 }, account: { windowSeconds: 15 * 60, max: 10 } },
+  register: { ip: { windowSeconds: 60 * 60, max: 10 } },
+  refresh: { ip: { windowSeconds: 60, max: 30 } },
+  'forgot-password': { ip: { windowSeconds: 60 * 60, max: 10 }, account: { windowSeconds: 60 * 60, max: 3 } },
+  'resend-verification': { ip: { windowSeconds: 60 * 60, max: 10 }, account: { windowSeconds: 60 * 60, max: 3 } },
+  'reset-password': { ip: { windowSeconds: 15 * 60, max: 10 } },
+  mfa: { ip: { windowSeconds: 15 * 60, max: 20 } },
+  'account-export': { ip: { windowSeconds: 60 * 60, max: 5 } }
+};
+
+const rateLimitOverrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+const RATE_LIMITS = {};
+for (const route of Object.keys(defaultRateLimits)) {
+  RATE_LIMITS[route] = {};
+  for (const scope of Object.keys(defaultRateLimits[route])) {
+    RATE_LIMITS[route][scope] = {
+      ...defaultRateLimits[route][scope],
+      ...((rateLimitOverrides[route] || {})[scope] || {})
+    };
+  }
+}
+
+// Progressive lockout after repeated failed logins: from LOCKOUT_THRESHOLD failures on,
+// the lock starts at LOCKOUT_BASE_SECONDS and doubles with every further failure
+const rateLimiter = createRateLimiter(redisClient, {
+  threshold: parseInt(process.env.LOCKOUT_THRESHOLD) || 5,
+  baseSeconds: parseInt(process.env.LOCKOUT_BASE_SECONDS) || 60,
+  maxSeconds: parseInt(process.env.LOCKOUT_MAX_SECONDS) || 24 * 60 * 60
+});
+
+// Rate limit middleware for a route, per client IP and optionally per account identifier
+const rateLimit = (route, accountKey) => {
+  const limits = RATE_LIMITS[route];
+  const middleware = [
+    rateLimiter.limit({ name: route, scope: 'ip', key: req => req.ip, ...limits.ip })
+  ];
+
+  if (accountKey && limits.account) {
+    middleware.push(rateLimiter.limit({
+      name: route,
+      scope: 'account',
+      key: req => {
+        const id = accountKey(req);
+        return typeof id === 'string' ? id.trim().toLowerCase() : null;
+      },
+      ...limits.account
+    }));
+  }
+
+  return middleware;
+};
 
 // Test database connection
 pool.connect((err, client, release) => {
@@ -39,11 +164,50 @@ pool.connect((err, client, release) => {
   }
 });
 
-// Middleware
-app.use(cors());
+// Set TRUST_PROXY (e.g. 1 or 'loopback') when running behind a proxy so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Middleware; the user listing's pagination headers are readable by browser clients
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages'] }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Only the SHA-256 hash of a refresh token is ever stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Check that the session an access token belongs to has not been revoked or expired
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const sessionResult = await pool.query(`
+    SELECT id, last_seen_at < NOW() - INTERVAL '1 minute' as stale
+    FROM user_sessions
+    WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId]);
+
+  if (sessionResult.rows.length === 0) {
+    return false;
+  }
+
+  // Track activity for the session list, at most once a minute per session
+  if (sessionResult.rows[0].stale !== false) {
+    pool.query('UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId])
+      .catch(err => console.error('Error updating session activity:', err));
+  }
+
+  return true;
+};
+
+// Device details recorded with a session
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -54,32 +218,503 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = keyStore.verify(token, { issuer: JWT_ISSUER });
     
     // Check if session is still valid
-    const sessionResult = await pool.query(
-      'SELECT user_id FROM user_sessions WHERE session_token = $1 AND expires_at > NOW()',
-      [token]
-    );
-
-    if (sessionResult.rows.length === 0) {
+    if (!(await isSessionActive(decoded.session_id))) {
       return res.status(401).json({ error: 'Invalid or expired session' });
     }
 
     req.user = decoded;
     next();
   } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
     return res.status(403).json({ error: 'Invalid token' });
   }
 };
 
+// Service API keys (X-API-Key header) are accepted on the admin routes other services and batch
+// jobs call; the key's scopes act as its permissions
+const apiKeys = createApiKeyVerifier({ pool });
+const authenticateTokenOrApiKey = apiKeys.authenticate(authenticateToken);
+
+// Authorization middleware - use after authenticateToken, e.g. authorize('users:read')
+const authorize = (...requiredPermissions) => (req, res, next) => {
+  const granted = (req.user && req.user.permissions) || [];
+  const missing = requiredPermissions.filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      required: requiredPermissions
+    });
+  }
+
+  next();
+};
+
+// Whether a user's email address is verified (or verification is off). Read from the database,
+// since the access token's claim is only refreshed with the token.
+const isEmailVerified = async (userId) => {
+  if (EMAIL_VERIFICATION_MODE === 'off') {
+    return true;
+  }
+
+  const result = await pool.query('SELECT email_verified FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 && result.rows[0].email_verified === true;
+};
+
+const sendEmailNotVerified = (res) => res.status(403).json({
+  error: 'Email address not verified',
+  code: 'EMAIL_NOT_VERIFIED'
+});
+
+// Verified-email middleware - use after authenticateToken on routes unverified accounts may not use
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!(await isEmailVerified(req.user.user_id))) {
+      return sendEmailNotVerified(res);
+    }
+  } catch (err) {
+    console.error('Error checking email verification:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  next();
+};
+
+// Load the roles and the permissions they grant for a user
+const getUserAccess = async (userId) => {
+  const result = await pool.query(`
+    SELECT r.name AS role, p.name AS permission
+    FROM user_roles ur
+    JOIN roles r ON ur.role_id = r.id
+    LEFT JOIN role_permissions rp ON r.id = rp.role_id
+    LEFT JOIN permissions p ON rp.permission_id = p.id
+    WHERE ur.user_id = $1
+  `, [userId]);
+
+  const roles = [...new Set(result.rows.map(row => row.role))];
+  const permissions = [...new Set(result.rows.map(row => row.permission).filter(Boolean))];
+
+  return { roles, permissions };
+};
+
+// Sign a short-lived access token for a session
+const signAccessToken = async (user, sessionId) => {
+  // Roles and permissions are carried in the token so routes can authorize without a lookup
+  const { roles, permissions } = await getUserAccess(user.id);
+
+  const tokenPayload = {
+    user_id: user.id,
+    username: user.username,
+    email: user.email,
+    email_verified: Boolean(user.email_verified),
+    session_id: sessionId,
+    roles,
+    permissions
+  };
+
+  const token = keyStore.sign(tokenPayload, { expiresIn: ACCESS_TOKEN_TTL_SECONDS, issuer: JWT_ISSUER });
+
+  return { token, expires_in: ACCESS_TOKEN_TTL_SECONDS, roles };
+};
+
+// Services that verify tokens offline check Redis for these markers (see shared/auth.js).
+// A marker only has to outlive the access tokens already issued for the session.
+const REVOKED_SESSION_PREFIX = 'revoked-session:';
+
+const publishRevocations = async (sessionIds) => {
+  try {
+    for (const sessionId of sessionIds) {
+      await redisClient.set(`${REVOKED_SESSION_PREFIX}${sessionId}`, '1', { EX: ACCESS_TOKEN_TTL_SECONDS });
+    }
+  } catch (err) {
+    console.error('Error publishing session revocations:', err);
+  }
+};
+
+// End sessions of a user: all of them (e.g. after a password change), a single one (sessionId),
+// or all but one (exceptSessionId). Returns how many were ended.
+const revokeUserSessions = async (userId, { sessionId = null, exceptSessionId = null } = {}) => {
+  const result = await pool.query(`
+    DELETE FROM user_sessions
+    WHERE user_id = $1
+      AND ($2::int IS NULL OR id = $2)
+      AND ($3::int IS NULL OR id <> $3)
+    RETURNING id
+  `, [userId, sessionId, exceptSessionId]);
+
+  await publishRevocations(result.rows.map(row => row.id));
+  return result.rowCount;
+};
+
+// Active sessions of a user, most recently used first
+const listUserSessions = async (userId, currentSessionId = null) => {
+  const result = await pool.query(`
+    SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+    FROM user_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY COALESCE(last_seen_at, created_at) DESC
+  `, [userId]);
+
+  return result.rows.map(session => ({ ...session, current: session.id === currentSessionId }));
+};
+
+// Issue a new refresh token for a session and slide the session expiry forward
+const issueRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+  await db.query(`
+    INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+    VALUES ($1, $2, $3)
+  `, [sessionId, hashToken(refreshToken), expiresAt]);
+
+  await db.query('UPDATE user_sessions SET expires_at = $1 WHERE id = $2', [expiresAt, sessionId]);
+
+  return refreshToken;
+};
+
+// Create a single-use token for email verification or password reset.
+// Any earlier unused token for the same purpose stops working.
+const createUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + ttlMinutes);
+
+  await pool.query(
+    'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await pool.query(`
+    INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, $4)
+  `, [userId, purpose, hashToken(token), expiresAt]);
+
+  return token;
+};
+
+// Mark a token as used and return its user ID, or null if it is unknown, used or expired
+const consumeUserToken = async (db, token, purpose) => {
+  const result = await db.query(`
+    UPDATE user_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// Merge the guest cart a shopper filled before logging in into their account's cart, as the
+// user with their new access token. Returns false when it failed; the login still succeeds.
+const mergeGuestCart = async (token, cartId) => {
+  try {
+    const response = await fetch(`${ORDER_SERVICE_URL}/api/cart/merge`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'X-Cart-Id': String(cartId) },
+      signal: AbortSignal.timeout(5 * 1000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`order-service /api/cart/merge failed with status ${response.status}`);
+    }
+    return true;
+  } catch (err) {
+    console.error('Error merging guest cart:', err.message);
+    return false;
+  }
+};
+
+// Start a session for a fully authenticated user and build the login response. A cart_id in the
+// request body is a guest cart to merge into the user's cart.
+const startSession = async (user, req) => {
+  const { userAgent, ipAddress } = clientInfo(req);
+
+  // Create session record; its expiry follows the latest refresh token
+  const sessionResult = await pool.query(`
+    INSERT INTO user_sessions (user_id, expires_at, user_agent, ip_address, last_seen_at)
+    VALUES ($1, NOW(), $2, $3, CURRENT_TIMESTAMP)
+    RETURNING id
+  `, [user.id, userAgent, ipAddress]);
+
+  const sessionId = sessionResult.rows[0].id;
+  const refreshToken = await issueRefreshToken(pool, sessionId);
+  const { token, expires_in, roles } = await signAccessToken(user, sessionId);
+
+  // Remove secrets from response
+  const { password_hash, mfa_secret, ...safeUser } = user;
+
+  const cartId = req.body && req.body.cart_id;
+
+  return {
+    message: 'Login successful',
+    token: token,
+    refresh_token: refreshToken,
+    expires_in: expires_in,
+    user: { ...safeUser, roles },
+    ...(cartId ? { cart_merged: await mergeGuestCart(token, cartId) } : {})
+  };
+};
+
+// Recovery codes look like 4f1c-9a2e-07bd; only their hashes are stored
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+
+  await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Check an authenticator code or a one-time recovery code for a user with 2FA enabled
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  if (recovery_code) {
+    const result = await pool.query(`
+      UPDATE mfa_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [userId, hashToken(normalizeRecoveryCode(recovery_code))]);
+
+    return result.rows.length > 0;
+  }
+
+  const userResult = await pool.query(
+    'SELECT mfa_secret, mfa_last_used_step FROM users WHERE id = $1 AND mfa_enabled = true',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return false;
+  }
+
+  const { mfa_secret, mfa_last_used_step } = userResult.rows[0];
+  const step = totp.verifyCode(mfa_secret, code, { after: Number(mfa_last_used_step || -1) });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Remember the step so the same code cannot be used twice
+  await pool.query('UPDATE users SET mfa_last_used_step = $1 WHERE id = $2', [step, userId]);
+  return true;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+  const link = `${CLIENT_URL}/?verify_token=${token}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your Felix Commerce email address',
+    text: `Hi ${user.first_name || user.username},\n\n` +
+      `Please confirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+  const link = `${CLIENT_URL}/?reset_token=${token}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your Felix Commerce password',
+    text: `Hi ${user.first_name || user.username},\n\n` +
+      `Someone asked to reset the password for your account. If that was you, open this link:\n${link}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.`
+  });
+};
+
+const sendAccountDeletionEmail = async (user, scheduledFor) => {
+  await mailer.send({
+    to: user.email,
+    subject: 'Your Felix Commerce account is scheduled for deletion',
+    text: `Hi ${user.first_name || user.username},\n\n` +
+      `We received a request to delete your account. It will be permanently erased on ` +
+      `${scheduledFor.toUTCString()}.\n\n` +
+      `If you change your mind, log in at ${CLIENT_URL} before then and cancel the deletion. ` +
+      `If you did not ask for this, log in and cancel it, then change your password.`
+  });
+};
+
+const orderServiceRequest = async (requestPath, options = {}) => {
+  const response = await fetch(`${ORDER_SERVICE_URL}${requestPath}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': ORDER_SERVICE_API_KEY },
+    signal: AbortSignal.timeout(10 * 1000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`order-service ${requestPath} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Everything we hold about a user, for the data export
+const buildAccountExport = async (userId) => {
+  const userResult = await pool.query(`
+    SELECT id, username, email, first_name, last_name, created_at, updated_at, is_active,
+           email_verified, email_verified_at, mfa_enabled
+    FROM users
+    WHERE id = $1
+  `, [userId]);
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const { roles } = await getUserAccess(userId);
+
+  const sessionsResult = await pool.query(`
+    SELECT id, created_at, last_seen_at, expires_at, revoked_at, user_agent, ip_address
+    FROM user_sessions
+    WHERE user_id = $1
+    ORDER BY created_at DESC
+  `, [userId]);
+
+  const deletionResult = await pool.query(`
+    SELECT id, status, reason, requested_at, scheduled_for, cancelled_at, completed_at
+    FROM account_deletion_requests
+    WHERE user_id = $1
+    ORDER BY requested_at DESC
+  `, [userId]);
+
+  const orders = await orderServiceRequest(`/api/users/${userId}/orders/export`);
+  const cart = await orderServiceRequest(`/api/users/${userId}/cart/export`);
+
+  return {
+    generated_at: new Date().toISOString(),
+    profile: userResult.rows[0],
+    roles,
+    sessions: sessionsResult.rows,
+    orders,
+    cart,
+    deletion_requests: deletionResult.rows
+  };
+};
+
+// Erase an account for good. The users row and orders are kept, so foreign keys and the
+// accounting history stay intact, but everything that identifies the person is removed.
+const eraseAccount = async (userId) => {
+  // Orders (and the saved cart) first: if order-service is down the request stays pending and
+  // is retried
+  await orderServiceRequest(`/api/users/${userId}/orders/anonymize`, { method: 'POST' });
+
+  // Sessions hold device details; deleting them also drops their refresh tokens
+  await revokeUserSessions(userId);
+
+  // A random hash nobody knows the password for
+  const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE users
+      SET username = 'deleted_user_' || id,
+          email = 'deleted_user_' || id || '@deleted.invalid',
+          password_hash = $2,
+          first_name = NULL,
+          last_name = NULL,
+          email_verified = false,
+          email_verified_at = NULL,
+          mfa_enabled = false,
+          mfa_secret = NULL,
+          mfa_last_used_step = NULL,
+          is_active = false,
+          anonymized_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId, unusableHash]);
+
+    await client.query('DELETE FROM user_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_roles WHERE user_id = $1', [userId]);
+
+    // Reviews keep their rating, which counts towards the product's, but lose what was written
+    await client.query(`
+      UPDATE product_reviews
+      SET title = NULL, body = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+    `, [userId]);
+
+    await client.query(`
+      UPDATE account_deletion_requests
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, reason = NULL, last_error = NULL
+      WHERE user_id = $1 AND status = 'pending'
+    `, [userId]);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Erase every account whose grace period is over
+const processDueDeletions = async () => {
+  const result = await pool.query(`
+    SELECT id, user_id
+    FROM account_deletion_requests
+    WHERE status = 'pending' AND scheduled_for <= NOW()
+    ORDER BY scheduled_for
+  `);
+
+  for (const request of result.rows) {
+    try {
+      await eraseAccount(request.user_id);
+      console.log(`Erased account ${request.user_id} (deletion request ${request.id})`);
+    } catch (err) {
+      console.error(`Error erasing account ${request.user_id}:`, err);
+      await pool.query(
+        'UPDATE account_deletion_requests SET last_error = $1 WHERE id = $2',
+        [err.message, request.id]
+      );
+    }
+  }
+};
+
+setInterval(() => {
+  processDueDeletions().catch(err => console.error('Error processing account deletions:', err));
+}, 60 * 60 * 1000).unref();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: 'login-service' });
 });
 
+// Public keys for verifying access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keyStore.jwks());
+});
+
 // User registration
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', rateLimit('register'), async (req, res) => {
   try {
     const { username, email, password, first_name, last_name } = req.body;
 
@@ -124,8 +759,26 @@ app.post('/api/auth/register', async (req, res) => {
 
     const user = result.rows[0];
 
+    // New accounts start out as customers
+    await pool.query(`
+      INSERT INTO user_roles (user_id, role_id)
+      SELECT $1, id FROM roles WHERE name = 'customer'
+      ON CONFLICT DO NOTHING
+    `, [user.id]);
+
+    // A failed email should not fail the registration; the user can ask for a new link
+    if (EMAIL_VERIFICATION_MODE !== 'off') {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailErr) {
+        console.error('Error sending verification email:', mailErr);
+      }
+    }
+
     res.status(201).json({
-      message: 'User registered successfully',
+      message: EMAIL_VERIFICATION_MODE === 'off'
+        ? 'User registered successfully'
+        : 'User registered successfully. Please check your email to verify your account.',
       user: user
     });
   } catch (err) {
@@ -135,7 +788,7 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // User login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', rateLimit('login', req => req.body.username_or_email), async (req, res) => {
   try {
     const { username_or_email, password } = req.body;
 
@@ -147,7 +800,7 @@ app.post('/api/auth/login', async (req, res) => {
 
     // Find user by username or email
     const userResult = await pool.query(`
-      SELECT id, username, email, password_hash, first_name, last_name, is_active
+      SELECT id, username, email, password_hash, first_name, last_name, is_active, email_verified, mfa_enabled
       FROM users 
       WHERE (username = $1 OR email = $1) AND is_active = true
     `, [username_or_email]);
@@ -158,134 +811,360 @@ app.post('/api/auth/login', async (req, res) => {
 
     const user = userResult.rows[0];
 
+    const lockedFor = await rateLimiter.getLockout(user.id);
+    if (lockedFor > 0) {
+      return rateLimiter.sendTooManyRequests(res, lockedFor, 'Account temporarily locked after too many failed login attempts');
+    }
+
     // Verify password
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
+      const { lockedFor } = await rateLimiter.recordFailure(user.id);
+      if (lockedFor > 0) {
+        console.warn(`Account ${user.id} locked for ${lockedFor}s after repeated failed logins`);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const tokenPayload = {
-      user_id: user.id,
-      username: user.username,
-      email: user.email
-    };
-
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: '24h' });
+    rateLimiter.clearFailures(user.id).catch(err => console.error('Error clearing login failures:', err));
 
-    // Create session record
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 24); // 24 hours from now
+    if (EMAIL_VERIFICATION_MODE === 'required' && !user.email_verified) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
-    await pool.query(`
-      INSERT INTO user_sessions (user_id, session_token, expires_at)
-      VALUES ($1, $2, $3)
-    `, [user.id, token, expiresAt]);
+    // With 2FA on, the password only earns a short-lived token for /api/auth/login/mfa
+    if (user.mfa_enabled) {
+      const mfaToken = keyStore.sign(
+        { user_id: user.id, purpose: 'mfa' },
+        { expiresIn: MFA_TOKEN_TTL_SECONDS, issuer: JWT_ISSUER }
+      );
 
-    // Remove password hash from response
-    const { password_hash, ...userWithoutPassword } = user;
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfa_required: true,
+        mfa_token: mfaToken
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token: token,
-      user: userWithoutPassword
-    });
+    res.json(await startSession(user, req));
   } catch (err) {
     console.error('Error during login:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// User logout
-app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+// Second login step for accounts with 2FA: an authenticator code or a recovery code
+app.post('/api/auth/login/mfa', rateLimit('mfa'), async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { mfa_token, code, recovery_code } = req.body;
 
-    // Delete the session
-    await pool.query('DELETE FROM user_sessions WHERE session_token = $1', [token]);
+    if (!mfa_token || (!code && !recovery_code)) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: mfa_token and code or recovery_code' 
+      });
+    }
 
-    res.json({ message: 'Logout successful' });
-  } catch (err) {
-    console.error('Error during logout:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    let decoded;
+    try {
+      decoded = keyStore.verify(mfa_token, { issuer: JWT_ISSUER });
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired login attempt. Please login again.' });
+    }
+
+    if (decoded.purpose !== 'mfa') {
+      return res.status(401).json({ error: 'Invalid or expired login attempt. Please login again.' });
+    }
+
+    const lockedFor = await rateLimiter.getLockout(decoded.user_id);
+    if (lockedFor > 0) {
+      return rateLimiter.sendTooManyRequests(res, lockedFor, 'Account temporarily locked after too many failed login attempts');
+    }
 
-// Get current user profile
-app.get('/api/auth/profile', authenticateToken, async (req, res) => {
-  try {
     const userResult = await pool.query(`
-      SELECT id, username, email, first_name, last_name, created_at, updated_at
+      SELECT id, username, email, first_name, last_name, is_active, email_verified, mfa_enabled
       FROM users 
-      WHERE id = $1 AND is_active = true
-    `, [req.user.user_id]);
+      WHERE id = $1 AND is_active = true AND mfa_enabled = true
+    `, [decoded.user_id]);
 
     if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      return res.status(401).json({ error: 'Invalid or expired login attempt. Please login again.' });
+    }
+
+    const user = userResult.rows[0];
+
+    if (!(await verifySecondFactor(user.id, { code, recovery_code }))) {
+      await rateLimiter.recordFailure(user.id);
+      return res.status(401).json({ error: 'Invalid authentication code' });
     }
 
-    res.json(userResult.rows[0]);
+    rateLimiter.clearFailures(user.id).catch(err => console.error('Error clearing login failures:', err));
+
+    res.json(await startSession(user, req));
   } catch (err) {
-    console.error('Error fetching user profile:', err);
+    console.error('Error during two-factor login:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update user profile
-app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token and a new refresh token
+app.post('/api/auth/refresh', rateLimit('refresh'), async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { first_name, last_name, email } = req.body;
-    const userId = req.user.user_id;
+    const { refresh_token } = req.body;
 
-    // Validate email format if provided
-    if (email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({ error: 'Invalid email format' });
-      }
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Missing required field: refresh_token' });
+    }
 
-      // Check if email is already taken by another user
-      const existingUser = await pool.query(
-        'SELECT id FROM users WHERE email = $1 AND id != $2',
-        [email, userId]
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      SELECT
+        rt.id,
+        rt.session_id,
+        rt.used_at,
+        rt.expires_at <= NOW() as expired,
+        s.revoked_at,
+        u.id as user_id,
+        u.username,
+        u.email,
+        u.email_verified,
+        u.is_active
+      FROM refresh_tokens rt
+      JOIN user_sessions s ON rt.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt, s
+    `, [hashToken(refresh_token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const stored = tokenResult.rows[0];
+
+    // A refresh token that was already rotated is being replayed: revoke the whole family
+    if (stored.used_at) {
+      await client.query(
+        'UPDATE user_sessions SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = $1',
+        [stored.session_id]
       );
+      await client.query('COMMIT');
+      await publishRevocations([stored.session_id]);
+      console.warn(`Refresh token reuse detected for session ${stored.session_id}, session revoked`);
+      return res.status(401).json({ error: 'Refresh token reuse detected. Please login again.' });
+    }
 
-      if (existingUser.rows.length > 0) {
-        return res.status(409).json({ error: 'Email already exists' });
-      }
+    if (stored.revoked_at || stored.expired || !stored.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid or expired session' });
     }
 
-    const result = await pool.query(`
-      UPDATE users 
-      SET 
-        first_name = COALESCE($1, first_name),
-        last_name = COALESCE($2, last_name),
-        email = COALESCE($3, email),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4 AND is_active = true
-      RETURNING id, username, email, first_name, last_name, updated_at
-    `, [first_name, last_name, email, userId]);
+    await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+    const refreshToken = await issueRefreshToken(client, stored.session_id);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const { userAgent, ipAddress } = clientInfo(req);
+    await client.query(`
+      UPDATE user_sessions
+      SET last_seen_at = CURRENT_TIMESTAMP, user_agent = COALESCE($1, user_agent), ip_address = COALESCE($2, ip_address)
+      WHERE id = $3
+    `, [userAgent, ipAddress, stored.session_id]);
+
+    await client.query('COMMIT');
+
+    const user = {
+      id: stored.user_id,
+      username: stored.username,
+      email: stored.email,
+      email_verified: stored.email_verified
+    };
+    const { token, expires_in } = await signAccessToken(user, stored.session_id);
 
     res.json({
-      message: 'Profile updated successfully',
-      user: result.rows[0]
+      token: token,
+      refresh_token: refreshToken,
+      expires_in: expires_in
     });
   } catch (err) {
-    console.error('Error updating profile:', err);
+    await client.query('ROLLBACK');
+    console.error('Error refreshing token:', err);
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
-// Change password
-app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+// User logout
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    const { current_password, new_password } = req.body;
-    const userId = req.user.user_id;
+    // Delete the session along with its refresh tokens
+    await pool.query('DELETE FROM user_sessions WHERE id = $1', [req.user.session_id]);
+    await publishRevocations([req.user.session_id]);
+
+    res.json({ message: 'Logout successful' });
+  } catch (err) {
+    console.error('Error during logout:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List my active sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listUserSessions(req.user.user_id, req.user.session_id));
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out every session except the current one
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.user_id, { exceptSessionId: req.user.session_id });
+
+    res.json({ message: `Logged out of ${revoked} other sessions` });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out one of my sessions
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeUserSessions(req.user.user_id, { sessionId });
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get current user profile
+app.get('/api/auth/profile', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await pool.query(`
+      SELECT id, username, email, email_verified, first_name, last_name, created_at, updated_at, mfa_enabled
+      FROM users 
+      WHERE id = $1 AND is_active = true
+    `, [req.user.user_id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const recoveryResult = await pool.query(
+      'SELECT COUNT(*) as remaining FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [req.user.user_id]
+    );
+
+    const { mfa_enabled, ...profile } = userResult.rows[0];
+
+    res.json({
+      ...profile,
+      two_factor: {
+        enabled: mfa_enabled,
+        recovery_codes_remaining: mfa_enabled ? parseInt(recoveryResult.rows[0].remaining) : 0
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching user profile:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update user profile
+// Unverified accounts can only change their email address, e.g. to fix a typo made at signup
+app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+  try {
+    const { first_name, last_name, email } = req.body;
+    const userId = req.user.user_id;
+
+    if ((first_name !== undefined || last_name !== undefined) && !(await isEmailVerified(userId))) {
+      return sendEmailNotVerified(res);
+    }
+
+    // Validate email format if provided
+    if (email) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({ error: 'Invalid email format' });
+      }
+
+      // Check if email is already taken by another user
+      const existingUser = await pool.query(
+        'SELECT id FROM users WHERE email = $1 AND id != $2',
+        [email, userId]
+      );
+
+      if (existingUser.rows.length > 0) {
+        return res.status(409).json({ error: 'Email already exists' });
+      }
+    }
+
+    // A new email address has to be verified again
+    const result = await pool.query(`
+      UPDATE users u
+      SET 
+        first_name = COALESCE($1, u.first_name),
+        last_name = COALESCE($2, u.last_name),
+        email_verified = CASE WHEN u.email IS DISTINCT FROM COALESCE($3, u.email) THEN false ELSE u.email_verified END,
+        email_verified_at = CASE WHEN u.email IS DISTINCT FROM COALESCE($3, u.email) THEN NULL ELSE u.email_verified_at END,
+        email = COALESCE($3, u.email),
+        updated_at = CURRENT_TIMESTAMP
+      FROM users old
+      WHERE u.id = $4 AND u.is_active = true AND old.id = u.id
+      RETURNING u.id, u.username, u.email, u.email_verified, u.first_name, u.last_name, u.updated_at,
+        u.email IS DISTINCT FROM old.email as email_changed
+    `, [first_name, last_name, email, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { email_changed, ...user } = result.rows[0];
+
+    // Only a new address needs a new link; other edits do not send another email
+    if (EMAIL_VERIFICATION_MODE !== 'off' && email_changed) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailErr) {
+        console.error('Error sending verification email:', mailErr);
+      }
+    }
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: user
+    });
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change password
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    const userId = req.user.user_id;
 
     if (!current_password || !new_password) {
       return res.status(400).json({ 
@@ -326,7 +1205,7 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
     `, [new_password_hash, userId]);
 
     // Invalidate all existing sessions for this user (force re-login)
-    await pool.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+    await revokeUserSessions(userId);
 
     res.json({ message: 'Password changed successfully. Please login again.' });
   } catch (err) {
@@ -335,75 +1214,154 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
   }
 });
 
-// Get all users (admin endpoint)
-app.get('/api/users', authenticateToken, async (req, res) => {
+// Start 2FA enrolment: generate a secret for the user's authenticator app
+app.post('/api/auth/mfa/setup', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT id, username, email, first_name, last_name, created_at, updated_at, is_active
-      FROM users 
-      ORDER BY created_at DESC
-    `);
+    const userId = req.user.user_id;
 
-    res.json(result.rows);
+    const userResult = await pool.query(
+      'SELECT email, mfa_enabled FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (userResult.rows[0].mfa_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // Stays pending until confirmed with a code; calling setup again replaces it
+    const secret = totp.generateSecret();
+    await pool.query(
+      'UPDATE users SET mfa_secret = $1, mfa_last_used_step = NULL WHERE id = $2',
+      [secret, userId]
+    );
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code from the app',
+      secret: secret,
+      otpauth_url: totp.provisioningUri(secret, userResult.rows[0].email, MFA_ISSUER)
+    });
   } catch (err) {
-    console.error('Error fetching users:', err);
+    console.error('Error starting two-factor setup:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get user by ID
-app.get('/api/users/:id', authenticateToken, async (req, res) => {
+// Finish 2FA enrolment with a code from the app; returns the recovery codes once
+app.post('/api/auth/mfa/enable', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const userId = parseInt(req.params.id);
-    
-    const result = await pool.query(`
-      SELECT id, username, email, first_name, last_name, created_at, updated_at, is_active
-      FROM users 
-      WHERE id = $1
-    `, [userId]);
+    const { code } = req.body;
+    const userId = req.user.user_id;
 
-    if (result.rows.length === 0) {
+    if (!code) {
+      return res.status(400).json({ error: 'Missing required field: code' });
+    }
+
+    const userResult = await client.query(
+      'SELECT mfa_secret, mfa_enabled FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json(result.rows[0]);
+    const { mfa_secret, mfa_enabled } = userResult.rows[0];
+
+    if (mfa_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!mfa_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(mfa_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE users
+      SET mfa_enabled = true, mfa_last_used_step = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [step, userId]);
+
+    const recoveryCodes = await generateRecoveryCodes(client, userId);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recovery_codes: recoveryCodes
+    });
   } catch (err) {
-    console.error('Error fetching user:', err);
+    await client.query('ROLLBACK');
+    console.error('Error enabling two-factor authentication:', err);
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
-// Deactivate user account
-app.patch('/api/users/:id/deactivate', authenticateToken, async (req, res) => {
+// Turn 2FA off; needs the password and a current code or recovery code
+app.post('/api/auth/mfa/disable', authenticateToken, async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-    
-    const result = await pool.query(`
-      UPDATE users 
-      SET is_active = false, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING id, username, email, is_active
-    `, [userId]);
+    const { password, code, recovery_code } = req.body;
+    const userId = req.user.user_id;
 
-    if (result.rows.length === 0) {
+    if (!password || (!code && !recovery_code)) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: password and code or recovery_code' 
+      });
+    }
+
+    const userResult = await pool.query(
+      'SELECT password_hash, mfa_enabled FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Delete all sessions for this user
-    await pool.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+    if (!userResult.rows[0].mfa_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
 
-    res.json({
-      message: 'User account deactivated successfully',
-      user: result.rows[0]
-    });
+    const validPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(userId, { code, recovery_code }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await pool.query(`
+      UPDATE users
+      SET mfa_enabled = false, mfa_secret = NULL, mfa_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId]);
+
+    await pool.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
   } catch (err) {
-    console.error('Error deactivating user:', err);
+    console.error('Error disabling two-factor authentication:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Verify token endpoint (for other services)
-app.post('/api/auth/verify', async (req, res) => {
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
     const { token } = req.body;
 
@@ -411,68 +1369,988 @@ app.post('/api/auth/verify', async (req, res) => {
       return res.status(400).json({ error: 'Token required' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Check if session is still valid
-    const sessionResult = await pool.query(
-      'SELECT user_id FROM user_sessions WHERE session_token = $1 AND expires_at > NOW()',
-      [token]
-    );
+    const userId = await consumeUserToken(pool, token, 'email_verification');
 
-    if (sessionResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid or expired session' });
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
     }
 
-    res.json({ 
-      valid: true, 
-      user: decoded 
-    });
+    await pool.query(`
+      UPDATE users
+      SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId]);
+
+    res.json({ message: 'Email verified successfully' });
   } catch (err) {
-    res.status(401).json({ 
-      valid: false, 
-      error: 'Invalid token' 
-    });
+    console.error('Error verifying email:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Clean up expired sessions (run periodically)
-app.post('/api/auth/cleanup-sessions', async (req, res) => {
+// Send a new verification email
+// The response is the same whether or not the address exists, so it cannot be used to probe accounts
+app.post('/api/auth/resend-verification', rateLimit('resend-verification', req => req.body.email), async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM user_sessions WHERE expires_at <= NOW()');
-    
-    res.json({ 
-      message: `Cleaned up ${result.rowCount} expired sessions` 
-    });
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Missing required field: email' });
+    }
+
+    const userResult = await pool.query(`
+      SELECT id, username, email, first_name
+      FROM users
+      WHERE email = $1 AND is_active = true AND email_verified = false
+    `, [email]);
+
+    if (userResult.rows.length > 0) {
+      await sendVerificationEmail(userResult.rows[0]);
+    }
+
+    res.json({ message: 'If that address needs verifying, a new link has been sent' });
   } catch (err) {
-    console.error('Error cleaning up sessions:', err);
+    console.error('Error resending verification email:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get user statistics
-app.get('/api/users/stats', authenticateToken, async (req, res) => {
+// Start a password reset
+// The response is the same whether or not the address exists, so it cannot be used to probe accounts
+app.post('/api/auth/forgot-password', rateLimit('forgot-password', req => req.body.email), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        COUNT(*) as total_users,
-        COUNT(CASE WHEN is_active = true THEN 1 END) as active_users,
-        COUNT(CASE WHEN is_active = false THEN 1 END) as inactive_users,
-        COUNT(CASE WHEN created_at >= NOW() - INTERVAL '30 days' THEN 1 END) as new_users_last_30_days
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Missing required field: email' });
+    }
+
+    const userResult = await pool.query(`
+      SELECT id, username, email, first_name
       FROM users
-    `);
+      WHERE email = $1 AND is_active = true
+    `, [email]);
 
-    const sessionStats = await pool.query(`
-      SELECT COUNT(*) as active_sessions
-      FROM user_sessions
-      WHERE expires_at > NOW()
-    `);
+    if (userResult.rows.length > 0) {
+      await sendPasswordResetEmail(userResult.rows[0]);
+    }
 
-    res.json({
-      ...result.rows[0],
-      active_sessions: parseInt(sessionStats.rows[0].active_sessions)
-    });
+    res.json({ message: 'If an account exists for that address, a reset link has been sent' });
   } catch (err) {
-    console.error('Error fetching user statistics:', err);
+    console.error('Error starting password reset:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with the token from the reset email
+app.post('/api/auth/reset-password', rateLimit('reset-password'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: token, new_password' 
+      });
+    }
+
+    // Validate new password strength
+    if (new_password.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters long' });
+    }
+
+    await client.query('BEGIN');
+
+    const userId = await consumeUserToken(client, token, 'password_reset');
+
+    if (!userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    // Hash new password
+    const saltRounds = 12;
+    const new_password_hash = await bcrypt.hash(new_password, saltRounds);
+
+    // Receiving the reset email proves the address, so it counts as verified
+    await client.query(`
+      UPDATE users 
+      SET
+        password_hash = $1,
+        email_verified = true,
+        email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [new_password_hash, userId]);
+
+    // Invalidate all existing sessions for this user (force re-login)
+    const revoked = await client.query('DELETE FROM user_sessions WHERE user_id = $1 RETURNING id', [userId]);
+
+    await client.query('COMMIT');
+    await publishRevocations(revoked.rows.map(row => row.id));
+
+    res.json({ message: 'Password reset successfully. Please login with your new password.' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Download everything we hold about the current user as a JSON file
+app.get('/api/auth/account/export', authenticateToken, rateLimit('account-export'), async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user.user_id);
+
+    if (!archive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const date = archive.generated_at.slice(0, 10);
+    res.attachment(`account-export-${req.user.user_id}-${date}.json`);
+    res.type('json').send(JSON.stringify(archive, null, 2));
+  } catch (err) {
+    console.error('Error exporting account data:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current deletion request, if any
+app.get('/api/auth/account/deletion', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, status, requested_at, scheduled_for
+      FROM account_deletion_requests
+      WHERE user_id = $1 AND status = 'pending'
+    `, [req.user.user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No pending deletion request' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching deletion request:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ask for the account to be erased after the grace period; needs the password,
+// and a code or recovery code when 2FA is on
+app.post('/api/auth/account/deletion', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recovery_code, reason } = req.body;
+    const userId = req.user.user_id;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Missing required field: password' });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, username, email, first_name, password_hash, mfa_enabled FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (user.mfa_enabled && !(await verifySecondFactor(userId, { code, recovery_code }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO account_deletion_requests (user_id, reason, scheduled_for)
+      VALUES ($1, $2, NOW() + $3 * INTERVAL '1 day')
+      ON CONFLICT (user_id) WHERE status = 'pending' DO NOTHING
+      RETURNING id, status, requested_at, scheduled_for
+    `, [userId, reason || null, ACCOUNT_DELETION_GRACE_DAYS]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Account deletion already requested' });
+    }
+
+    const request = result.rows[0];
+
+    try {
+      await sendAccountDeletionEmail(user, request.scheduled_for);
+    } catch (mailErr) {
+      console.error('Error sending account deletion email:', mailErr);
+    }
+
+    res.status(201).json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel until then.`,
+      deletion_request: request
+    });
+  } catch (err) {
+    console.error('Error requesting account deletion:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a pending deletion request
+app.delete('/api/auth/account/deletion', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE account_deletion_requests
+      SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND status = 'pending'
+      RETURNING id
+    `, [req.user.user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No pending deletion request' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (err) {
+    console.error('Error cancelling account deletion:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List account deletion requests (admin endpoint), pending ones by default
+app.get('/api/account-deletions', authenticateTokenOrApiKey, authorize('users:read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!['pending', 'cancelled', 'completed', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of pending, cancelled, completed, all' });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        d.id,
+        d.user_id,
+        u.username,
+        u.email,
+        d.status,
+        d.reason,
+        d.requested_at,
+        d.scheduled_for,
+        d.cancelled_at,
+        d.completed_at,
+        d.last_error
+      FROM account_deletion_requests d
+      JOIN users u ON d.user_id = u.id
+      WHERE $1 = 'all' OR d.status = $1
+      ORDER BY d.scheduled_for
+    `, [status]);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching account deletion requests:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sort columns for the user listing, keyed by the name clients pass in ?sort=
+const USER_SORT_COLUMNS = {
+  created_at: 'created_at',
+  username: 'username',
+  email: 'email',
+  first_name: 'first_name',
+  last_name: 'last_name'
+};
+
+const isValidDate = (value) => !Number.isNaN(Date.parse(value));
+
+// An upper bound as { operator, value }: a bare date such as 2024-01-31 includes the whole day,
+// so it becomes "before the next day"
+const upperBound = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { operator: '<', value: new Date(Date.parse(value) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10) };
+  }
+  return { operator: '<=', value };
+};
+
+// WHERE clause and ORDER BY for the user listing and its CSV export, from the query string:
+// q (username, email or name), is_active, created_from, created_to, sort and order.
+// Returns { error } when a parameter is invalid.
+const buildUserQuery = (query) => {
+  const conditions = [];
+  const params = [];
+
+  if (query.q) {
+    params.push(`%${String(query.q).replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(
+      username ILIKE $${params.length}
+      OR email ILIKE $${params.length}
+      OR CONCAT_WS(' ', first_name, last_name) ILIKE $${params.length}
+    )`);
+  }
+
+  if (query.is_active !== undefined) {
+    if (!['true', 'false'].includes(query.is_active)) {
+      return { error: 'is_active must be true or false' };
+    }
+    params.push(query.is_active === 'true');
+    conditions.push(`is_active = $${params.length}`);
+  }
+
+  for (const param of ['created_from', 'created_to']) {
+    if (query[param] !== undefined) {
+      if (!isValidDate(query[param])) {
+        return { error: `${param} must be a date, e.g. 2024-01-31` };
+      }
+      const { operator, value } = param === 'created_to' ? upperBound(query[param]) : { operator: '>=', value: query[param] };
+      params.push(value);
+      conditions.push(`created_at ${operator} $${params.length}`);
+    }
+  }
+
+  const sort = query.sort || 'created_at';
+  if (!Object.hasOwn(USER_SORT_COLUMNS, sort)) {
+    return { error: `sort must be one of ${Object.keys(USER_SORT_COLUMNS).join(', ')}` };
+  }
+
+  const order = typeof query.order === 'string' ? query.order.toLowerCase() : 'desc';
+  if ((query.order !== undefined && typeof query.order !== 'string') || !['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    // id breaks ties so pages do not overlap
+    orderBy: `ORDER BY ${USER_SORT_COLUMNS[sort]} ${order} NULLS LAST, id ${order}`,
+    params
+  };
+};
+
+const USER_LIST_COLUMNS = 'id, username, email, first_name, last_name, created_at, updated_at, is_active';
+
+// List users (admin endpoint). The response is the array of users, all of them unless ?page= or
+// ?limit= (at most 100) asks for a page; X-Total-Count and, for a page, X-Page, X-Limit and
+// X-Total-Pages headers describe the whole result.
+app.get('/api/users', authenticateTokenOrApiKey, authorize('users:read'), async (req, res) => {
+  try {
+    const { where, orderBy, params, error } = buildUserQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const paginated = req.query.page !== undefined || req.query.limit !== undefined;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+    const countResult = await pool.query(`SELECT COUNT(*) as total FROM users ${where}`, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await pool.query(`
+      SELECT ${USER_LIST_COLUMNS}
+      FROM users
+      ${where}
+      ${orderBy}
+      ${paginated ? `LIMIT $${params.length + 1} OFFSET $${params.length + 2}` : ''}
+    `, paginated ? [...params, limit, (page - 1) * limit] : params);
+
+    res.set('X-Total-Count', String(total));
+    if (paginated) {
+      res.set({
+        'X-Page': String(page),
+        'X-Limit': String(limit),
+        'X-Total-Pages': String(Math.ceil(total / limit))
+      });
+    }
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export the users matching the same filters as GET /api/users as CSV
+app.get('/api/users/export', authenticateTokenOrApiKey, authorize('users:read'), async (req, res) => {
+  try {
+    const { where, orderBy, params, error } = buildUserQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const columns = USER_LIST_COLUMNS.split(', ');
+    const batchSize = 1000;
+
+    res.attachment(`users-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('csv');
+    res.write(`${columns.join(',')}\n`);
+
+    // Written in batches so large exports are not held in memory
+    for (let offset = 0; ; offset += batchSize) {
+      const result = await pool.query(`
+        SELECT ${USER_LIST_COLUMNS}
+        FROM users
+        ${where}
+        ${orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, batchSize, offset]);
+
+      for (const row of result.rows) {
+        res.write(`${columns.map(column => csvValue(row[column])).join(',')}\n`);
+      }
+
+      if (result.rows.length < batchSize) {
+        break;
+      }
+    }
+
+    res.end();
+  } catch (err) {
+    console.error('Error exporting users:', err);
+    // Part of the file has gone out; fail the download rather than end it as if it were complete
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get user statistics; new_users counts the users created between ?from= and ?to= (default: the
+// last 30 days), and new_users_last_30_days is always the last 30 days. A bare-date to includes
+// that whole day.
+app.get('/api/users/stats', authenticateTokenOrApiKey, authorize('users:read'), async (req, res) => {
+  try {
+    if ((req.query.from !== undefined && !isValidDate(req.query.from)) ||
+      (req.query.to !== undefined && !isValidDate(req.query.to))) {
+      return res.status(400).json({ error: 'from and to must be dates, e.g. 2024-01-31' });
+    }
+
+    const to = req.query.to || new Date().toISOString();
+    const from = req.query.from || new Date(Date.parse(to) - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    if (Date.parse(from) > Date.parse(to)) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const end = upperBound(to);
+
+    const result = await pool.query(`
+      SELECT 
+        COUNT(*) as total_users,
+        COUNT(CASE WHEN is_active = true THEN 1 END) as active_users,
+        COUNT(CASE WHEN is_active = false THEN 1 END) as inactive_users,
+        COUNT(CASE WHEN created_at >= $1 AND created_at ${end.operator} $2 THEN 1 END) as new_users,
+        COUNT(CASE WHEN created_at >= NOW() - INTERVAL '30 days' THEN 1 END) as new_users_last_30_days
+      FROM users
+    `, [from, end.value]);
+
+    const sessionStats = await pool.query(`
+      SELECT COUNT(*) as active_sessions
+      FROM user_sessions
+      WHERE expires_at > NOW() AND revoked_at IS NULL
+    `);
+
+    res.json({
+      ...result.rows[0],
+      active_sessions: parseInt(sessionStats.rows[0].active_sessions),
+      range: { from, to }
+    });
+  } catch (err) {
+    console.error('Error fetching user statistics:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get user by ID
+app.get('/api/users/:id', authenticateTokenOrApiKey, authorize('users:read'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    const result = await pool.query(`
+      SELECT id, username, email, first_name, last_name, created_at, updated_at, is_active
+      FROM users 
+      WHERE id = $1
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { roles } = await getUserAccess(userId);
+
+    res.json({ ...result.rows[0], roles });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deactivate user account
+app.patch('/api/users/:id/deactivate', authenticateTokenOrApiKey, authorize('users:write'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    const result = await pool.query(`
+      UPDATE users 
+      SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, username, email, is_active
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Delete all sessions for this user
+    await revokeUserSessions(userId);
+
+    res.json({
+      message: 'User account deactivated successfully',
+      user: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error deactivating user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List a user's active sessions
+app.get('/api/users/:id/sessions', authenticateTokenOrApiKey, authorize('users:read'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const userResult = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await listUserSessions(userId));
+  } catch (err) {
+    console.error('Error fetching user sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log a user out everywhere
+app.delete('/api/users/:id/sessions', authenticateTokenOrApiKey, authorize('users:write'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const revoked = await revokeUserSessions(userId);
+
+    res.json({ message: `Revoked ${revoked} sessions` });
+  } catch (err) {
+    console.error('Error revoking user sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out one of a user's sessions
+app.delete('/api/users/:id/sessions/:sessionId', authenticateTokenOrApiKey, authorize('users:write'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeUserSessions(userId, { sessionId });
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    console.error('Error revoking user session:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlock an account locked by failed logins and clear its login rate limits
+app.post('/api/users/:id/unlock', authenticateTokenOrApiKey, authorize('users:write'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    const wasLockedFor = await rateLimiter.getLockout(user.id);
+
+    await rateLimiter.clearFailures(user.id);
+    await rateLimiter.resetLimit('login', 'account', user.username.toLowerCase());
+    await rateLimiter.resetLimit('login', 'account', user.email.toLowerCase());
+
+    res.json({
+      message: wasLockedFor > 0 ? 'User account unlocked successfully' : 'User account was not locked',
+      user: { id: user.id, username: user.username, email: user.email }
+    });
+  } catch (err) {
+    console.error('Error unlocking user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List signing keys
+app.get('/api/auth/keys', authenticateToken, authorize('keys:manage'), (req, res) => {
+  res.json(keyStore.list());
+});
+
+// Rotate the signing key. The old key stays in the JWKS so tokens it signed keep working;
+// retire it once they have expired.
+app.post('/api/auth/keys/rotate', authenticateToken, authorize('keys:manage'), (req, res) => {
+  try {
+    const kid = keyStore.rotate();
+
+    res.status(201).json({
+      message: 'Signing key rotated successfully',
+      kid: kid,
+      keys: keyStore.list()
+    });
+  } catch (err) {
+    console.error('Error rotating signing key:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove an old signing key from the JWKS
+app.delete('/api/auth/keys/:kid', authenticateToken, authorize('keys:manage'), (req, res) => {
+  try {
+    if (!keyStore.retire(req.params.kid)) {
+      return res.status(404).json({ error: 'Signing key not found' });
+    }
+
+    res.json({
+      message: 'Signing key retired successfully',
+      keys: keyStore.list()
+    });
+  } catch (err) {
+    if (err.message === 'Cannot retire the active signing key') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error retiring signing key:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API key fields that are safe to return; the key itself is only shown when it is created
+const API_KEY_COLUMNS = `
+  id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, revoked_at, replaced_by,
+  revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()) as is_active
+`;
+
+// Scopes are permission names; returns the ones that do not exist
+const findUnknownScopes = async (scopes) => {
+  const result = await pool.query('SELECT name FROM permissions WHERE name = ANY($1)', [scopes]);
+  const known = result.rows.map(row => row.name);
+
+  return scopes.filter(scope => !known.includes(scope));
+};
+
+// List API keys
+app.get('/api/api-keys', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${API_KEY_COLUMNS}
+      FROM api_keys
+      ORDER BY created_at DESC
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching API keys:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an API key for a service. The key is returned once and cannot be recovered.
+app.post('/api/api-keys', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'Missing required fields: name, scopes' });
+    }
+
+    const expiresInDays = expires_in_days === undefined || expires_in_days === null
+      ? null
+      : parseInt(expires_in_days);
+
+    if (expiresInDays !== null && !(expiresInDays > 0)) {
+      return res.status(400).json({ error: 'expires_in_days must be a positive number' });
+    }
+
+    const unknownScopes = await findUnknownScopes(scopes);
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknownScopes.join(', ')}` });
+    }
+
+    const { key, prefix } = generateApiKey();
+
+    const result = await pool.query(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 day')
+      RETURNING ${API_KEY_COLUMNS}
+    `, [name, prefix, hashApiKey(key), scopes, req.user.user_id, expiresInDays]);
+
+    res.status(201).json({
+      message: 'API key created successfully. Store it somewhere safe; it will not be shown again.',
+      key,
+      api_key: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace an API key with a new one with the same name, scopes and expiry. The old key keeps
+// working for grace_period_minutes (default 0) so the service can be switched over.
+app.post('/api/api-keys/:id/rotate', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const keyId = parseInt(req.params.id);
+    const gracePeriodMinutes = parseInt(req.body.grace_period_minutes) || 0;
+
+    if (gracePeriodMinutes < 0) {
+      return res.status(400).json({ error: 'grace_period_minutes must not be negative' });
+    }
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(`
+      SELECT name, scopes, expires_at
+      FROM api_keys
+      WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      FOR UPDATE
+    `, [keyId]);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'API key not found or no longer active' });
+    }
+
+    const { name, scopes, expires_at } = existing.rows[0];
+    const { key, prefix } = generateApiKey();
+
+    const result = await client.query(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${API_KEY_COLUMNS}
+    `, [name, prefix, hashApiKey(key), scopes, req.user.user_id, expires_at]);
+
+    const newKey = result.rows[0];
+
+    if (gracePeriodMinutes > 0) {
+      await client.query(`
+        UPDATE api_keys
+        SET replaced_by = $1,
+            expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + $2 * INTERVAL '1 minute')
+        WHERE id = $3
+      `, [newKey.id, gracePeriodMinutes, keyId]);
+    } else {
+      await client.query(
+        'UPDATE api_keys SET replaced_by = $1, revoked_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [newKey.id, keyId]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'API key rotated successfully. Store the new key somewhere safe; it will not be shown again.',
+      key,
+      api_key: newKey
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error rotating API key:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Revoke an API key immediately
+app.delete('/api/api-keys/:id', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE api_keys
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING ${API_KEY_COLUMNS}
+    `, [parseInt(req.params.id)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({
+      message: 'API key revoked successfully',
+      api_key: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List roles and the permissions they grant
+app.get('/api/roles', authenticateToken, authorize('roles:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        r.id,
+        r.name,
+        r.description,
+        COALESCE(array_agg(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') as permissions
+      FROM roles r
+      LEFT JOIN role_permissions rp ON r.id = rp.role_id
+      LEFT JOIN permissions p ON rp.permission_id = p.id
+      GROUP BY r.id
+      ORDER BY r.id
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Grant a role to a user
+app.post('/api/users/:id/roles', authenticateToken, authorize('roles:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({ error: 'Missing required field: role' });
+    }
+
+    const userResult = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const roleResult = await pool.query('SELECT id FROM roles WHERE name = $1', [role]);
+    if (roleResult.rows.length === 0) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO user_roles (user_id, role_id, granted_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+    `, [userId, roleResult.rows[0].id, req.user.user_id]);
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: `User already has role: ${role}` });
+    }
+
+    // Tokens carry the old role list, so force the user to log in again
+    await revokeUserSessions(userId);
+
+    const { roles } = await getUserAccess(userId);
+
+    res.status(201).json({
+      message: `Role ${role} granted successfully`,
+      user_id: userId,
+      roles
+    });
+  } catch (err) {
+    console.error('Error granting role:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a role from a user
+app.delete('/api/users/:id/roles/:role', authenticateToken, authorize('roles:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.params;
+
+    // Stop admins from locking themselves out
+    if (userId === req.user.user_id && role === 'admin') {
+      return res.status(400).json({ error: 'Cannot revoke your own admin role' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM user_roles
+      WHERE user_id = $1 AND role_id = (SELECT id FROM roles WHERE name = $2)
+    `, [userId, role]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: `User does not have role: ${role}` });
+    }
+
+    // Tokens carry the old role list, so force the user to log in again
+    await revokeUserSessions(userId);
+
+    const { roles } = await getUserAccess(userId);
+
+    res.json({
+      message: `Role ${role} revoked successfully`,
+      user_id: userId,
+      roles
+    });
+  } catch (err) {
+    console.error('Error revoking role:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify token endpoint (for other services)
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token required' });
+    }
+
+    const decoded = keyStore.verify(token, { issuer: JWT_ISSUER });
+    
+    // Check if session is still valid
+    if (!(await isSessionActive(decoded.session_id))) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    res.json({ 
+      valid: true, 
+      user: decoded 
+    });
+  } catch (err) {
+    res.status(401).json({ 
+      valid: false, 
+      error: 'Invalid token' 
+    });
+  }
+});
+
+// Clean up expired sessions (run periodically)
+app.post('/api/auth/cleanup-sessions', async (req, res) => {
+  try {
+    // Refresh tokens go with their session through ON DELETE CASCADE
+    const result = await pool.query(
+      'DELETE FROM user_sessions WHERE expires_at <= NOW() OR revoked_at IS NOT NULL'
+    );
+    
+    res.json({ 
+      message: `Cleaned up ${result.rowCount} expired or revoked sessions` 
+    });
+  } catch (err) {
+    console.error('Error cleaning up sessions:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -489,6 +2367,7 @@ app.listen(port, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('Received SIGTERM, shutting down gracefully');
+  redisClient.quit().catch(() => {});
   pool.end(() => {
     console.log('Database pool closed');
     process.exit(0);
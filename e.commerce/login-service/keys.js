@@ -0,0 +1,140 @@
+// Signing keys for access tokens, published as a JWKS so other services can verify tokens offline
+//
+// Each key is a PEM file named <kid>.pem in the keys directory. The newest key signs new tokens
+// (or the one named by activeKid); every key in the directory stays in the JWKS so tokens signed
+// before a rotation keep verifying until the old key is retired.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ALGORITHMS = {
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+};
+
+// The algorithm follows the key type, so a store can hold RSA and EC keys side by side
+const algorithmFor = (keyObject) => (keyObject.asymmetricKeyType === 'ec' ? 'ES256' : 'RS256');
+
+const createKeyStore = ({ dir, algorithm = 'RS256', activeKid = null }) => {
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}. Use one of ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+
+  let keys = [];
+
+  const load = () => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    keys = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.pem'))
+      .map(file => {
+        const filePath = path.join(dir, file);
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(filePath));
+
+        return {
+          kid: path.basename(file, '.pem'),
+          privateKey,
+          publicKey: crypto.createPublicKey(privateKey),
+          algorithm: algorithmFor(privateKey),
+          createdAt: fs.statSync(filePath).mtime
+        };
+      })
+      .sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  const getSigningKey = () => {
+    const key = activeKid
+      ? keys.find(candidate => candidate.kid === activeKid)
+      : keys[keys.length - 1];
+
+    if (!key) {
+      throw new Error(activeKid ? `Signing key ${activeKid} not found in ${dir}` : `No signing keys in ${dir}`);
+    }
+
+    return key;
+  };
+
+  // Generate a new key and start signing with it
+  const rotate = () => {
+    const { privateKey } = ALGORITHMS[algorithm]();
+    const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+
+    fs.writeFileSync(
+      path.join(dir, `${kid}.pem`),
+      privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      { mode: 0o600 }
+    );
+
+    // An explicitly pinned key would keep signing, so rotation takes over from it
+    activeKid = null;
+    load();
+
+    return kid;
+  };
+
+  // Remove an old key from the JWKS once no unexpired token can have been signed with it
+  const retire = (kid) => {
+    if (kid === getSigningKey().kid) {
+      throw new Error('Cannot retire the active signing key');
+    }
+
+    const key = keys.find(candidate => candidate.kid === kid);
+    if (!key) {
+      return false;
+    }
+
+    fs.unlinkSync(path.join(dir, `${kid}.pem`));
+    load();
+
+    return true;
+  };
+
+  const sign = (payload, options = {}) => {
+    const key = getSigningKey();
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.algorithm, keyid: key.kid });
+  };
+
+  // Verify a token signed by any key in the store; throws like jwt.verify
+  const verify = (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && keys.find(candidate => candidate.kid === decoded.header.kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+  };
+
+  const jwks = () => ({
+    keys: keys.map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+  });
+
+  const list = () => {
+    const active = getSigningKey().kid;
+
+    return keys.map(key => ({
+      kid: key.kid,
+      algorithm: key.algorithm,
+      created_at: key.createdAt,
+      active: key.kid === active
+    }));
+  };
+
+  load();
+  if (keys.length === 0) {
+    const kid = rotate();
+    console.log(`Generated new JWT signing key ${kid} in ${dir}`);
+  }
+
+  return { load, rotate, retire, sign, verify, jwks, list };
+};
+
+module.exports = { createKeyStore };
@@ -0,0 +1,85 @@
+// Pluggable mail transports for login-service
+// MAIL_TRANSPORT picks one: smtp (production), file (local/offline testing) or console (default).
+// file and console keep reset and verification links where others can read them, so production
+// refuses to start with them.
+
+const fs = require('fs');
+const path = require('path');
+
+// SMTP through nodemailer, configured with the EMAIL_* variables
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Write every message as a JSON file so tests and developers can pick up the links
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const recipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+      const fileName = `${Date.now()}-${recipient}.json`;
+      const contents = { ...message, date: new Date().toISOString() };
+
+      await fs.promises.writeFile(path.join(outputDir, fileName), JSON.stringify(contents, null, 2));
+    }
+  };
+};
+
+// Print messages to stdout
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`--- Email to ${message.to}: ${message.subject} ---`);
+    console.log(message.text);
+    console.log('--- End of email ---');
+  }
+});
+
+// Development transports, not allowed when NODE_ENV is production
+const DEVELOPMENT_TRANSPORTS = ['file', 'console'];
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// Add another transport (e.g. an HTTP email API); factory returns an object with send(message)
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+const createMailer = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT must be set to a real transport in production, not ${name}`);
+  }
+
+  const transport = factory();
+  const from = process.env.MAIL_FROM || 'Felix Commerce <no-reply@felixcommerce.local>';
+
+  return {
+    send: (message) => transport.send({ from, ...message })
+  };
+};
+
+module.exports = { createMailer, registerTransport };
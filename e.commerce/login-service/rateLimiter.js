@@ -0,0 +1,114 @@
+// Redis-backed sliding-window rate limits and progressive account lockout for login-service
+
+const crypto = require('crypto');
+
+const createRateLimiter = (redisClient, lockoutOptions = {}) => {
+  const {
+    threshold = 5,
+    baseSeconds = 60,
+    maxSeconds = 24 * 60 * 60
+  } = lockoutOptions;
+
+  // Record one hit in a sliding window kept as a sorted set of timestamps
+  const hit = async (key, windowMs, max) => {
+    const now = Date.now();
+    const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const [, , count, oldest] = await redisClient.multi()
+      .zRemRangeByScore(key, 0, now - windowMs)
+      .zAdd(key, { score: now, value: member })
+      .zCard(key)
+      .zRangeWithScores(key, 0, 0)
+      .pExpire(key, windowMs)
+      .exec();
+
+    if (count <= max) {
+      return { allowed: true, remaining: max - count };
+    }
+
+    // Rejected requests do not count towards the window
+    await redisClient.zRem(key, member);
+
+    const oldestHit = oldest.length > 0 ? oldest[0].score : now;
+    const retryAfter = Math.max(1, Math.ceil((oldestHit + windowMs - now) / 1000));
+
+    return { allowed: false, remaining: 0, retryAfter };
+  };
+
+  const sendTooManyRequests = (res, retryAfter, error) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, retry_after: retryAfter });
+  };
+
+  // Middleware limiting a route per key, e.g. limit({ name: 'login', scope: 'ip', key: req => req.ip, windowSeconds: 900, max: 20 })
+  // Requests without a key (e.g. a missing body field) are left to the route's own validation
+  const limit = ({ name, scope, key, windowSeconds, max }) => async (req, res, next) => {
+    const id = key(req);
+
+    if (!id) {
+      return next();
+    }
+
+    try {
+      const result = await hit(`ratelimit:${name}:${scope}:${id}`, windowSeconds * 1000, max);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        return sendTooManyRequests(res, result.retryAfter, 'Too many requests, please try again later');
+      }
+    } catch (err) {
+      // Fail open: a Redis outage should not lock everybody out
+      console.error('Rate limiter error:', err);
+    }
+
+    next();
+  };
+
+  const resetLimit = (name, scope, id) => redisClient.del(`ratelimit:${name}:${scope}:${id}`);
+
+  // Seconds until a locked account may try again, or 0 if it is not locked
+  const getLockout = async (accountId) => {
+    try {
+      const ttl = await redisClient.ttl(`lockout:${accountId}`);
+      return ttl > 0 ? ttl : 0;
+    } catch (err) {
+      console.error('Lockout check error:', err);
+      return 0;
+    }
+  };
+
+  // Count a failed login; from the threshold on, each failure locks the account for twice as long
+  const recordFailure = async (accountId) => {
+    try {
+      const failures = await redisClient.incr(`login-failures:${accountId}`);
+      await redisClient.expire(`login-failures:${accountId}`, maxSeconds);
+
+      if (failures < threshold) {
+        return { failures, lockedFor: 0 };
+      }
+
+      const lockedFor = Math.min(baseSeconds * 2 ** (failures - threshold), maxSeconds);
+      await redisClient.set(`lockout:${accountId}`, String(failures), { EX: lockedFor });
+
+      return { failures, lockedFor };
+    } catch (err) {
+      console.error('Error recording login failure:', err);
+      return { failures: 0, lockedFor: 0 };
+    }
+  };
+
+  const clearFailures = (accountId) => redisClient.del([`login-failures:${accountId}`, `lockout:${accountId}`]);
+
+  return {
+    limit,
+    resetLimit,
+    getLockout,
+    recordFailure,
+    clearFailures,
+    sendTooManyRequests
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,301 @@
+// Shopping carts for order-service
+//
+// A guest's cart lives in Redis under a random cart id the client sends back in the X-Cart-Id
+// header; it expires guestTtlSeconds after it was last used. A customer's cart is kept in the
+// cart_items table. Carts only hold what was added and how many; prices and stock are read
+// live whenever a cart is shown, and checked again at checkout.
+//
+// A cart is addressed by a ref: { userId } or { guestId }. Each line has a key, product-<id>
+// or variant-<id>, used to change or remove it.
+
+const crypto = require('crypto');
+
+const GUEST_PREFIX = 'cart:guest:';
+
+const cartError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const lineKey = ({ product_id, variant_id }) => (variant_id ? `variant-${variant_id}` : `product-${product_id}`);
+
+// { product_id } or { variant_id } for a line key, or null when it is not one
+const parseLineKey = (key) => {
+  const match = /^(product|variant)-(\d+)$/.exec(String(key));
+  if (!match) {
+    return null;
+  }
+  return match[1] === 'variant' ? { variant_id: parseInt(match[2]) } : { product_id: parseInt(match[2]) };
+};
+
+const isGuestId = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+
+const createCarts = (pool, redisClient, { guestTtlSeconds = 7 * 24 * 60 * 60, maxQuantity = 100, getAvailability }) => {
+  const guestKey = (guestId) => `${GUEST_PREFIX}${guestId}`;
+
+  // Lines of a cart as { product_id, variant_id, quantity }. Guest carts only store line keys,
+  // so variant lines get their product from the database.
+  const listItems = async (ref) => {
+    if (ref.userId) {
+      const result = await pool.query(
+        'SELECT product_id, variant_id, quantity FROM cart_items WHERE user_id = $1 ORDER BY created_at, id',
+        [ref.userId]
+      );
+      return result.rows;
+    }
+
+    if (!ref.guestId) {
+      return [];
+    }
+
+    const stored = await redisClient.hGetAll(guestKey(ref.guestId));
+    await redisClient.expire(guestKey(ref.guestId), guestTtlSeconds);
+
+    const lines = Object.entries(stored)
+      .map(([key, quantity]) => ({ ...parseLineKey(key), quantity: parseInt(quantity) }))
+      .filter(line => line.product_id || line.variant_id);
+
+    const variantIds = lines.filter(line => line.variant_id).map(line => line.variant_id);
+    const variantsResult = await pool.query('SELECT id, product_id FROM product_variants WHERE id = ANY($1)', [variantIds]);
+    const productOf = new Map(variantsResult.rows.map(row => [row.id, row.product_id]));
+
+    return lines
+      .filter(line => !line.variant_id || productOf.has(line.variant_id))
+      .map(line => ({
+        product_id: line.variant_id ? productOf.get(line.variant_id) : line.product_id,
+        variant_id: line.variant_id || null,
+        quantity: line.quantity
+      }));
+  };
+
+  // Check that what is being added can be bought, the same way checkout does: a variant of an
+  // active product, or a product without variants. Returns { product_id, variant_id }.
+  const resolveItem = async ({ product_id, variant_id }) => {
+    if (variant_id) {
+      const result = await pool.query(`
+        SELECT v.id, v.product_id
+        FROM product_variants v
+        JOIN products p ON v.product_id = p.id
+        WHERE v.id = $1 AND v.is_active = true AND p.is_active = true
+      `, [parseInt(variant_id)]);
+
+      if (result.rows.length === 0 || (product_id && parseInt(product_id) !== result.rows[0].product_id)) {
+        throw cartError(`Variant with ID ${variant_id} not found or inactive`, 404);
+      }
+
+      return { product_id: result.rows[0].product_id, variant_id: result.rows[0].id };
+    }
+
+    if (!product_id) {
+      throw cartError('product_id or variant_id is required');
+    }
+
+    const result = await pool.query(`
+      SELECT id, EXISTS (SELECT 1 FROM product_variants WHERE product_id = products.id AND is_active = true) as has_variants
+      FROM products
+      WHERE id = $1 AND is_active = true
+    `, [parseInt(product_id)]);
+
+    if (result.rows.length === 0) {
+      throw cartError(`Product with ID ${product_id} not found or inactive`, 404);
+    }
+    if (result.rows[0].has_variants) {
+      throw cartError('This product has variants; add one by variant_id');
+    }
+
+    return { product_id: result.rows[0].id, variant_id: null };
+  };
+
+  const validateQuantity = (quantity, { allowZero = false } = {}) => {
+    const value = Number(quantity);
+    if (!Number.isInteger(value) || value < (allowZero ? 0 : 1) || value > maxQuantity) {
+      throw cartError(`quantity must be a whole number from ${allowZero ? 0 : 1} to ${maxQuantity}`);
+    }
+    return value;
+  };
+
+  // Add quantity of an item, on top of what the cart already has (up to maxQuantity)
+  const addItem = async (ref, { product_id, variant_id, quantity = 1 }) => {
+    const amount = validateQuantity(quantity);
+    const item = await resolveItem({ product_id, variant_id });
+
+    if (ref.userId) {
+      await pool.query(`
+        INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)))
+        DO UPDATE SET quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $5), updated_at = CURRENT_TIMESTAMP
+      `, [ref.userId, item.product_id, item.variant_id, amount, maxQuantity]);
+    } else {
+      const key = guestKey(ref.guestId);
+      const total = await redisClient.hIncrBy(key, lineKey(item), amount);
+
+      if (total > maxQuantity) {
+        await redisClient.hSet(key, lineKey(item), maxQuantity);
+      }
+      await redisClient.expire(key, guestTtlSeconds);
+    }
+
+    return item;
+  };
+
+  // Set the quantity of a line; 0 removes it. Throws 404 when the cart has no such line.
+  const updateItem = async (ref, key, quantity) => {
+    const amount = validateQuantity(quantity, { allowZero: true });
+    const line = parseLineKey(key);
+
+    if (!line) {
+      throw cartError('Cart item not found', 404);
+    }
+    if (amount === 0) {
+      return removeItem(ref, key);
+    }
+
+    if (ref.userId) {
+      const result = await pool.query(`
+        UPDATE cart_items SET quantity = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $2 AND ${line.variant_id ? 'variant_id = $3' : 'product_id = $3 AND variant_id IS NULL'}
+      `, [amount, ref.userId, line.variant_id || line.product_id]);
+
+      if (result.rowCount === 0) {
+        throw cartError('Cart item not found', 404);
+      }
+    } else {
+      if (!ref.guestId || !(await redisClient.hExists(guestKey(ref.guestId), key))) {
+        throw cartError('Cart item not found', 404);
+      }
+      await redisClient.hSet(guestKey(ref.guestId), key, amount);
+      await redisClient.expire(guestKey(ref.guestId), guestTtlSeconds);
+    }
+  };
+
+  const removeItem = async (ref, key) => {
+    const line = parseLineKey(key);
+    let removed = false;
+
+    if (line && ref.userId) {
+      const result = await pool.query(`
+        DELETE FROM cart_items
+        WHERE user_id = $1 AND ${line.variant_id ? 'variant_id = $2' : 'product_id = $2 AND variant_id IS NULL'}
+      `, [ref.userId, line.variant_id || line.product_id]);
+      removed = result.rowCount > 0;
+    } else if (line && ref.guestId) {
+      removed = (await redisClient.hDel(guestKey(ref.guestId), key)) > 0;
+    }
+
+    if (!removed) {
+      throw cartError('Cart item not found', 404);
+    }
+  };
+
+  // Empty a cart; db lets checkout clear a customer's cart in the order's transaction
+  const clearCart = async (ref, db = pool) => {
+    if (ref.userId) {
+      await db.query('DELETE FROM cart_items WHERE user_id = $1', [ref.userId]);
+    } else if (ref.guestId) {
+      await redisClient.del(guestKey(ref.guestId));
+    }
+  };
+
+  // The cart with live prices and stock. Each line has a status: ok, insufficient_stock (fewer
+  // available than in the cart), out_of_stock or unavailable (no longer sold); the cart can only
+  // be checked out when every line is ok.
+  const getCart = async (ref) => {
+    const lines = await listItems(ref);
+
+    if (lines.length === 0) {
+      return { items: [], item_count: 0, subtotal: '0.00', can_checkout: false };
+    }
+
+    const productIds = [...new Set(lines.map(line => line.product_id))];
+    const variantIds = lines.filter(line => line.variant_id).map(line => line.variant_id);
+
+    const productsResult = await pool.query(`
+      SELECT p.id, p.name, p.sku, p.image_url, p.is_active,
+        EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = true) as has_variants
+      FROM products p
+      WHERE p.id = ANY($1)
+    `, [productIds]);
+    const variantsResult = await pool.query(
+      'SELECT id, sku, options, image_url, is_active FROM product_variants WHERE id = ANY($1)',
+      [variantIds]
+    );
+    const pricesResult = await pool.query('SELECT * FROM current_prices WHERE product_id = ANY($1)', [productIds]);
+    const availability = await getAvailability({ productIds, variantIds });
+
+    const products = new Map(productsResult.rows.map(row => [row.id, row]));
+    const variants = new Map(variantsResult.rows.map(row => [row.id, row]));
+
+    const items = lines.map(line => {
+      const product = products.get(line.product_id);
+      const variant = line.variant_id ? variants.get(line.variant_id) : null;
+      const price = pricesResult.rows.find(row => row.product_id === line.product_id && row.variant_id === line.variant_id);
+      const stock = line.variant_id
+        ? availability.variants.find(row => row.variant_id === line.variant_id)
+        : availability.products.find(row => row.product_id === line.product_id);
+
+      const sellable = product && product.is_active && (variant ? variant.is_active : !product.has_variants);
+      const available = stock ? stock.available : 0;
+
+      let status = 'ok';
+      if (!sellable || !price) {
+        status = 'unavailable';
+      } else if (available === 0) {
+        status = 'out_of_stock';
+      } else if (available < line.quantity) {
+        status = 'insufficient_stock';
+      }
+
+      return {
+        key: lineKey(line),
+        product_id: line.product_id,
+        variant_id: line.variant_id,
+        name: product ? product.name : null,
+        sku: variant ? variant.sku : product && product.sku,
+        options: variant ? variant.options : null,
+        image_url: (variant && variant.image_url) || (product && product.image_url),
+        quantity: line.quantity,
+        unit_price: price ? price.price : null,
+        compare_at_price: price ? price.compare_at_price : null,
+        line_total: price ? (parseFloat(price.price) * line.quantity).toFixed(2) : null,
+        available_quantity: available,
+        status
+      };
+    });
+
+    return {
+      items,
+      item_count: items.reduce((total, item) => total + item.quantity, 0),
+      subtotal: items
+        .filter(item => item.status !== 'unavailable')
+        .reduce((total, item) => total + parseFloat(item.line_total), 0)
+        .toFixed(2),
+      can_checkout: items.every(item => item.status === 'ok')
+    };
+  };
+
+  // Move a guest cart into a customer's cart, adding quantities for items in both, and delete
+  // it. Items that can no longer be bought are dropped. Returns how many lines were merged.
+  const mergeGuestCart = async (guestId, userId) => {
+    const lines = await listItems({ guestId });
+    let merged = 0;
+
+    for (const line of lines) {
+      try {
+        await addItem({ userId }, { ...line, quantity: Math.min(line.quantity, maxQuantity) });
+        merged++;
+      } catch (err) {
+        if (!err.status) {
+          throw err;
+        }
+      }
+    }
+
+    await clearCart({ guestId });
+
+    return merged;
+  };
+
+  const newGuestId = () => crypto.randomUUID();
+
+  return { listItems, addItem, updateItem, removeItem, clearCart, getCart, mergeGuestCart, newGuestId };
+};
+
+module.exports = { createCarts, isGuestId };
@@ -0,0 +1,344 @@
+// Tax and shipping for order-service
+//
+// CHARGE_CALCULATOR picks what works out an order's tax and shipping: builtin (default; the
+// tax_rates and shipping_methods tables) or one added with registerCalculator, e.g. an external
+// tax service. A calculator has
+//   shippingOptions(db, order)  the methods that can ship the order: [{ code, name, amount }],
+//                               cheapest first
+//   calculate(db, order)        { shipping_method: { code, name } or null, shipping_amount,
+//                               tax_amount, prices_include_tax, lines: [{ tax_rate, tax_amount }] }
+// where order is { lines, destination: { country, region }, shippingMethod, freeShipping }, each
+// line being { product_id, variant_id, quantity, unit_price, total } with total after discounts.
+// Amounts are strings with two decimals, like the database returns them.
+
+const chargeError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const SHIPPING_BASES = ['flat', 'weight', 'price'];
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+const normalizeDestination = ({ country = null, region = null } = {}) => ({
+  country: country ? String(country).trim().toUpperCase() : null,
+  region: region ? String(region).trim().toUpperCase() : null
+});
+
+// Tax from tax_rates and shipping from shipping_methods. With PRICES_INCLUDE_TAX=true catalog
+// prices already include tax, which is then worked out of them rather than added. Shipping is
+// not taxed.
+const createBuiltinCalculator = () => {
+  const pricesIncludeTax = process.env.PRICES_INCLUDE_TAX === 'true';
+
+  // Total weight in kilograms; a variant without a weight weighs what its product does
+  const orderWeight = async (db, lines) => {
+    const productsResult = await db.query(
+      'SELECT id, weight FROM products WHERE id = ANY($1)',
+      [lines.map(line => line.product_id)]
+    );
+    const variantsResult = await db.query(
+      'SELECT id, weight FROM product_variants WHERE id = ANY($1)',
+      [lines.filter(line => line.variant_id).map(line => line.variant_id)]
+    );
+
+    const products = new Map(productsResult.rows.map(row => [row.id, row.weight]));
+    const variants = new Map(variantsResult.rows.map(row => [row.id, row.weight]));
+
+    return lines.reduce((total, line) => {
+      const weight = (line.variant_id && variants.get(line.variant_id)) || products.get(line.product_id) || 0;
+      return total + parseFloat(weight) * line.quantity;
+    }, 0);
+  };
+
+  // The rate of the highest tier the order reaches, or null when it reaches none
+  const tierAmount = (method, measure) => {
+    const tier = method.rates
+      .filter(rate => method.basis === 'flat' || measure >= rate.min)
+      .sort((a, b) => b.min - a.min)[0];
+    return tier ? toCents(tier.amount) : null;
+  };
+
+  const shippingOptions = async (db, { lines, destination }) => {
+    const { country } = normalizeDestination(destination);
+
+    const methodsResult = await db.query(`
+      SELECT * FROM shipping_methods
+      WHERE is_active = true AND (cardinality(countries) = 0 OR $1 = ANY(countries))
+      ORDER BY id
+    `, [country]);
+
+    const methods = methodsResult.rows;
+    const weight = methods.some(method => method.basis === 'weight') ? await orderWeight(db, lines) : 0;
+    const goods = lines.reduce((total, line) => total + toCents(line.total), 0) / 100;
+
+    return methods
+      .map(method => ({
+        code: method.code,
+        name: method.name,
+        cents: tierAmount(method, method.basis === 'weight' ? weight : goods)
+      }))
+      .filter(option => option.cents !== null)
+      .sort((a, b) => a.cents - b.cents)
+      .map(({ cents, ...option }) => ({ ...option, amount: fromCents(cents) }));
+  };
+
+  // The rule for a line is the most specific one for the destination: a region's rule before
+  // the country's, and within each a rule for one of the product's categories (or their parents)
+  // before the general one. Without a destination there is no telling which rate applies, so
+  // it is required once any tax rate is set up.
+  const lineRates = async (db, lines, { country, region }) => {
+    if (!country) {
+      const anyRate = await db.query('SELECT 1 FROM tax_rates WHERE is_active = true LIMIT 1');
+      if (anyRate.rows.length > 0) {
+        throw chargeError('shipping_country is required to work out tax');
+      }
+      return lines.map(() => 0);
+    }
+
+    const ratesResult = await db.query(`
+      SELECT * FROM tax_rates
+      WHERE is_active = true AND country = $1 AND (region IS NULL OR region = $2)
+    `, [country, region]);
+
+    if (ratesResult.rows.length === 0) {
+      return lines.map(() => 0);
+    }
+
+    const categoriesResult = await db.query(`
+      WITH RECURSIVE tree AS (
+        SELECT product_id, category_id as id FROM product_categories WHERE product_id = ANY($1)
+        UNION
+        SELECT t.product_id, c.parent_id FROM tree t JOIN categories c ON c.id = t.id WHERE c.parent_id IS NOT NULL
+      )
+      SELECT product_id, id as category_id FROM tree
+    `, [lines.map(line => line.product_id)]);
+
+    const specificity = (rate) => (rate.region ? 2 : 0) + (rate.category_id ? 1 : 0);
+
+    return lines.map(line => {
+      const categoryIds = categoriesResult.rows
+        .filter(row => row.product_id === line.product_id)
+        .map(row => row.category_id);
+
+      const rule = ratesResult.rows
+        .filter(rate => rate.category_id === null || categoryIds.includes(rate.category_id))
+        .sort((a, b) => specificity(b) - specificity(a) || a.id - b.id)[0];
+
+      return rule ? parseFloat(rule.rate) : 0;
+    });
+  };
+
+  const calculate = async (db, { lines, destination, shippingMethod = null, freeShipping = false }) => {
+    const options = await shippingOptions(db, { lines, destination });
+    let method = null;
+
+    if (shippingMethod) {
+      method = options.find(option => option.code === String(shippingMethod).toLowerCase());
+      if (!method) {
+        throw chargeError(`Shipping method ${shippingMethod} is not available for this order`);
+      }
+    } else if (options.length > 0) {
+      method = options[0];
+    } else if ((await db.query('SELECT 1 FROM shipping_methods WHERE is_active = true LIMIT 1')).rows.length > 0) {
+      // Orders only go without a shipping method when none are set up at all
+      throw chargeError('No shipping method can deliver this order');
+    }
+
+    const rates = await lineRates(db, lines, normalizeDestination(destination));
+    const taxes = lines.map((line, i) => {
+      const total = toCents(line.total);
+      return pricesIncludeTax
+        ? Math.round(total - total / (1 + rates[i] / 100))
+        : Math.round(total * rates[i] / 100);
+    });
+
+    return {
+      shipping_method: method ? { code: method.code, name: method.name } : null,
+      shipping_amount: method && !freeShipping ? method.amount : '0.00',
+      tax_amount: fromCents(taxes.reduce((sum, tax) => sum + tax, 0)),
+      prices_include_tax: pricesIncludeTax,
+      lines: lines.map((line, i) => ({ tax_rate: rates[i].toFixed(3), tax_amount: fromCents(taxes[i]) }))
+    };
+  };
+
+  return { shippingOptions, calculate };
+};
+
+const calculators = {
+  builtin: createBuiltinCalculator
+};
+
+// Add another calculator; factory returns an object with shippingOptions and calculate
+const registerCalculator = (name, factory) => {
+  calculators[name] = factory;
+};
+
+const createChargeCalculator = (name = process.env.CHARGE_CALCULATOR || 'builtin') => {
+  const factory = calculators[name];
+
+  if (!factory) {
+    throw new Error(`Unknown charge calculator: ${name}`);
+  }
+
+  return factory();
+};
+
+// Staff management of the builtin calculator's tax rates and shipping methods. Updates change
+// only the fields sent.
+const createChargeRules = (pool) => {
+  const validateTaxRate = (input) => {
+    const destination = normalizeDestination(input);
+
+    if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > 100) {
+      throw chargeError('name is required (at most 100 characters)');
+    }
+    if (!/^[A-Z]{2}$/.test(destination.country || '')) {
+      throw chargeError('country must be a two-letter country code');
+    }
+    if (destination.region !== null && !/^[A-Z0-9-]{1,10}$/.test(destination.region)) {
+      throw chargeError('region must be a region code of up to 10 letters, digits or hyphens');
+    }
+    if (input.category_id !== undefined && input.category_id !== null && !Number.isInteger(Number(input.category_id))) {
+      throw chargeError('category_id must be a category ID');
+    }
+
+    const rate = Number(input.rate);
+    if (input.rate === undefined || input.rate === null || isNaN(rate) || rate < 0 || rate > 100) {
+      throw chargeError('rate must be a percentage from 0 to 100');
+    }
+
+    return [
+      input.name.trim(),
+      destination.country,
+      destination.region,
+      input.category_id === undefined || input.category_id === null ? null : Number(input.category_id),
+      rate,
+      input.is_active !== false
+    ];
+  };
+
+  const validateShippingMethod = (input) => {
+    const code = input.code ? String(input.code).trim().toLowerCase() : '';
+
+    if (!/^[a-z0-9_-]{1,50}$/.test(code)) {
+      throw chargeError('code must be up to 50 letters, digits, hyphens or underscores');
+    }
+    if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > 100) {
+      throw chargeError('name is required (at most 100 characters)');
+    }
+    if (!SHIPPING_BASES.includes(input.basis)) {
+      throw chargeError(`basis must be one of ${SHIPPING_BASES.join(', ')}`);
+    }
+
+    const rates = Array.isArray(input.rates) ? input.rates : null;
+    if (!rates || rates.length === 0 || !rates.every(rate => rate && Number(rate.min) >= 0 && Number(rate.amount) >= 0)) {
+      throw chargeError('rates must be a list of { "min": ..., "amount": ... } with non-negative numbers');
+    }
+    if (input.basis === 'flat' && rates.length !== 1) {
+      throw chargeError('flat methods have a single rate');
+    }
+
+    const countries = Array.isArray(input.countries || []) ? (input.countries || []).map(country => String(country).trim().toUpperCase()) : null;
+    if (!countries || !countries.every(country => /^[A-Z]{2}$/.test(country))) {
+      throw chargeError('countries must be a list of two-letter country codes');
+    }
+
+    return [
+      code,
+      input.name.trim(),
+      input.basis,
+      JSON.stringify(rates
+        .map(rate => ({ min: Number(rate.min), amount: Number(rate.amount).toFixed(2) }))
+        .sort((a, b) => a.min - b.min)),
+      [...new Set(countries)],
+      input.is_active !== false
+    ];
+  };
+
+  const save = async (query, params) => {
+    try {
+      const result = await pool.query(query, params);
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === '23505') {
+        throw chargeError('One already exists for the same destination and category, or with that code', 409);
+      }
+      if (err.code === '23503') {
+        throw chargeError('Category not found', 404);
+      }
+      throw err;
+    }
+  };
+
+  const current = async (table, id, label) => {
+    const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    if (result.rows.length === 0) {
+      throw chargeError(`${label} not found`, 404);
+    }
+    return result.rows[0];
+  };
+
+  const remove = async (table, id, label) => {
+    const result = await pool.query(`DELETE FROM ${table} WHERE id = $1 RETURNING id`, [id]);
+    if (result.rows.length === 0) {
+      throw chargeError(`${label} not found`, 404);
+    }
+  };
+
+  const listTaxRates = async () => {
+    const result = await pool.query(`
+      SELECT t.*, c.name as category_name
+      FROM tax_rates t
+      LEFT JOIN categories c ON t.category_id = c.id
+      ORDER BY t.country, t.region NULLS FIRST, t.category_id NULLS FIRST
+    `);
+    return result.rows;
+  };
+
+  const createTaxRate = async (input) => save(`
+    INSERT INTO tax_rates (name, country, region, category_id, rate, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, validateTaxRate(input));
+
+  const updateTaxRate = async (id, input) => save(`
+    UPDATE tax_rates
+    SET name = $1, country = $2, region = $3, category_id = $4, rate = $5, is_active = $6, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7
+    RETURNING *
+  `, [...validateTaxRate({ ...await current('tax_rates', id, 'Tax rate'), ...input }), id]);
+
+  const deleteTaxRate = (id) => remove('tax_rates', id, 'Tax rate');
+
+  const listShippingMethods = async () => {
+    const result = await pool.query('SELECT * FROM shipping_methods ORDER BY id');
+    return result.rows;
+  };
+
+  const createShippingMethod = async (input) => save(`
+    INSERT INTO shipping_methods (code, name, basis, rates, countries, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, validateShippingMethod(input));
+
+  const updateShippingMethod = async (id, input) => save(`
+    UPDATE shipping_methods
+    SET code = $1, name = $2, basis = $3, rates = $4, countries = $5, is_active = $6, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7
+    RETURNING *
+  `, [...validateShippingMethod({ ...await current('shipping_methods', id, 'Shipping method'), ...input }), id]);
+
+  const deleteShippingMethod = (id) => remove('shipping_methods', id, 'Shipping method');
+
+  return {
+    listTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+    listShippingMethods,
+    createShippingMethod,
+    updateShippingMethod,
+    deleteShippingMethod
+  };
+};
+
+module.exports = { createChargeCalculator, registerCalculator, createChargeRules };
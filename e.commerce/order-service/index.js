@@ -1,8 +1,20 @@
 // order-service/index.js
 const express = require('express');
 const { Pool } = require('pg');
+const redis = require('redis');
 const cors = require('cors');
 const path = require('path');
+const { createTokenVerifier } = require('../shared/auth');
+const { createApiKeyVerifier } = require('../shared/apiKeys');
+const { STOCK_TAG, productTag, createCache } = require('../shared/cache');
+const { MANUAL_REASONS, createStockLedger } = require('../shared/stockLedger');
+const { createInventory } = require('./inventory');
+const { createOrderStatus } = require('./orderStatus');
+const { createCarts, isGuestId } = require('./cart');
+const { createPromotions } = require('./promotions');
+const { createChargeCalculator, createChargeRules } = require('./charges');
+const { createPaymentProvider } = require('./paymentProviders');
+const { createPayments } = require('./payments');
 
 const app = express();
 const port = process.env.PORT || 3002;
@@ -16,6 +28,76 @@ const pool = new Pool({
   port: process.env.DB_PORT || 5432,
 });
 
+// Redis connection (session revocations published by login-service)
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+redisClient.on('error', (err) => console.log('Redis Client Error', err));
+redisClient.connect();
+
+// Access tokens from login-service are verified locally against its JWKS; API keys against the database
+const auth = createTokenVerifier({ redisClient, apiKeys: createApiKeyVerifier({ pool }) });
+
+// Authenticate requests that carry credentials and let the rest through without req.user
+const authenticateIfPresent = (req, res, next) =>
+  req.headers['authorization'] || req.headers['x-api-key'] ? auth.authenticate(req, res, next) : next();
+
+// The customer a request was authenticated as, if any; per-customer promotion limits only
+// apply to them
+const customerOf = (req) => (req.user && req.user.user_id) || null;
+
+// product-service caches products with their stock; drop the entries for stock changed here.
+// A failure only leaves the cache stale until it expires, so it never fails the request.
+const productCache = createCache(redisClient);
+const stockChanged = (productIds) => productCache.invalidate(STOCK_TAG, ...productIds.map(productTag))
+  .catch(err => console.error('Error invalidating product cache:', err));
+
+// Every stock change is recorded with its reason; low-stock alerts go through STOCK_ALERT_NOTIFIER
+const ledger = createStockLedger(pool);
+
+// Stock checks and checkout reservations; a sweeper marks expired holds every minute
+const inventory = createInventory(pool, {
+  ledger,
+  defaultTtlSeconds: parseInt(process.env.RESERVATION_TTL_SECONDS) || 15 * 60,
+  maxTtlSeconds: parseInt(process.env.RESERVATION_MAX_TTL_SECONDS) || 60 * 60,
+  maxActivePerUser: parseInt(process.env.RESERVATION_MAX_ACTIVE_PER_USER) || 3,
+  onStockChange: stockChanged
+});
+inventory.startSweeper(parseInt(process.env.RESERVATION_SWEEP_SECONDS) || 60);
+
+// Allowed status changes, their side effects and the status history. Cancelling an order gives
+// back its payments.
+const orderStatus = createOrderStatus(pool, {
+  ledger,
+  onStockChange: stockChanged,
+  onCancel: (client, order) => payments.returnOrderPayments(client, order.id)
+});
+
+// Payments go through PAYMENT_PROVIDER. Orders not paid within PAYMENT_TIMEOUT_MINUTES (0 turns
+// this off) are cancelled by a sweeper, putting their stock back.
+const paymentTimeoutMinutes = process.env.PAYMENT_TIMEOUT_MINUTES === undefined ? 30 : parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 0;
+const payments = createPayments(pool, {
+  provider: createPaymentProvider(),
+  orderStatus,
+  captureMode: process.env.PAYMENT_CAPTURE === 'manual' ? 'manual' : 'automatic',
+  currency: process.env.PAYMENT_CURRENCY || 'USD'
+});
+payments.startSweeper(parseInt(process.env.PAYMENT_SWEEP_SECONDS) || 60);
+
+// Guest carts expire CART_GUEST_TTL_SECONDS after they were last used; customers' carts are kept
+const carts = createCarts(pool, redisClient, {
+  guestTtlSeconds: parseInt(process.env.CART_GUEST_TTL_SECONDS) || 7 * 24 * 60 * 60,
+  getAvailability: inventory.getAvailability
+});
+
+// Coupons and automatic promotions, applied as orders are placed
+const promotions = createPromotions(pool);
+
+// Tax and shipping come from CHARGE_CALCULATOR; the builtin one is set up through chargeRules
+const calculator = createChargeCalculator();
+const chargeRules = createChargeRules(pool);
+
 // Test database connection
 pool.connect((err, client, release) => {
   if (err) {
@@ -28,7 +110,8 @@ pool.connect((err, client, release) => {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Health check endpoint
@@ -37,7 +120,7 @@ app.get('/health', (req, res) => {
 });
 
 // Get all orders
-app.get('/api/orders', async (req, res) => {
+app.get('/api/orders', auth.authenticate, auth.requirePermission('orders:manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -58,6 +141,30 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
+// Get order statistics (defined before /api/orders/:id, which would otherwise match "stats")
+app.get('/api/orders/stats', auth.authenticate, auth.requirePermission('orders:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        COUNT(*) as total_orders,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_orders,
+        COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as confirmed_orders,
+        COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing_orders,
+        COUNT(CASE WHEN status = 'shipped' THEN 1 END) as shipped_orders,
+        COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_orders,
+        COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_orders,
+        COALESCE(SUM(total_amount), 0) as total_revenue,
+        COALESCE(AVG(total_amount), 0) as average_order_value
+      FROM orders
+    `);
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching order statistics:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get order by ID with items
 app.get('/api/orders/:id', async (req, res) => {
   try {
@@ -86,15 +193,19 @@ app.get('/api/orders/:id', async (req, res) => {
         oi.*,
         p.name as product_name,
         p.description as product_description,
-        p.image_url
+        COALESCE(v.image_url, p.image_url) as image_url,
+        v.sku as variant_sku,
+        v.options as variant_options
       FROM order_items oi
       LEFT JOIN products p ON oi.product_id = p.id
+      LEFT JOIN product_variants v ON oi.variant_id = v.id
       WHERE oi.order_id = $1
     `, [orderId]);
 
     const order = {
       ...orderResult.rows[0],
-      items: itemsResult.rows
+      items: itemsResult.rows,
+      discounts: await promotions.getOrderDiscounts(orderId)
     };
 
     res.json(order);
@@ -127,228 +238,1045 @@ app.get('/api/users/:userId/orders', async (req, res) => {
   }
 });
 
-// Create new order
-app.post('/api/orders', async (req, res) => {
+// Full order history with items for a user; login-service uses this for data exports
+app.get('/api/users/:userId/orders/export', auth.authenticate, auth.requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    const result = await pool.query(`
+      SELECT
+        o.*,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'product_id', oi.product_id,
+              'product_name', p.name,
+              'variant_sku', v.sku,
+              'variant_options', v.options,
+              'quantity', oi.quantity,
+              'unit_price', oi.unit_price,
+              'total_price', oi.total_price
+            ) ORDER BY oi.id
+          ) FILTER (WHERE oi.id IS NOT NULL),
+          '[]'
+        ) as items
+      FROM orders o
+      LEFT JOIN order_items oi ON o.id = oi.order_id
+      LEFT JOIN products p ON oi.product_id = p.id
+      LEFT JOIN product_variants v ON oi.variant_id = v.id
+      WHERE o.user_id = $1
+      GROUP BY o.id
+      ORDER BY o.created_at DESC
+    `, [userId]);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error exporting user orders:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A user's saved cart; login-service adds it to data exports
+app.get('/api/users/:userId/cart/export', auth.authenticate, auth.requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    res.json(await carts.getCart({ userId: parseInt(req.params.userId) }));
+  } catch (err) {
+    console.error('Error exporting user cart:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove personal details from a user's orders and delete their saved cart when their account
+// is erased. The orders themselves are kept for accounting.
+app.post('/api/users/:userId/orders/anonymize', auth.authenticate, auth.requirePermission('privacy:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    await carts.clearCart({ userId });
+
+    const result = await pool.query(`
+      UPDATE orders
+      SET shipping_address = NULL,
+          billing_address = NULL,
+          anonymized_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND anonymized_at IS NULL
+    `, [userId]);
+
+    res.json({
+      message: `Anonymized ${result.rowCount} orders`,
+      anonymized_orders: result.rowCount
+    });
+  } catch (err) {
+    console.error('Error anonymizing user orders:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The checkout choices in a request body: coupon_code, shipping_country (two-letter code),
+// shipping_region and shipping_method, all optional
+const checkoutOptions = (body) => {
+  const country = body.shipping_country ? String(body.shipping_country).trim().toUpperCase() : null;
+  const region = body.shipping_region ? String(body.shipping_region).trim().toUpperCase() : null;
+
+  if (country !== null && !/^[A-Z]{2}$/.test(country)) {
+    throw Object.assign(new Error('shipping_country must be a two-letter country code'), { status: 400 });
+  }
+  if (region !== null && region.length > 10) {
+    throw Object.assign(new Error('shipping_region must be at most 10 characters'), { status: 400 });
+  }
+
+  return {
+    couponCode: body.coupon_code,
+    destination: { country, region },
+    shippingMethod: body.shipping_method
+  };
+};
+
+// What lines of { product_id, variant_id, quantity, unit_price } come to: promotions first, then
+// shipping and tax on the discounted amounts. Returns the items with their discount and tax and
+// the order's subtotal, discount_total, shipping_amount, tax_amount and grand total. customerId is
+// the authenticated customer (see customerOf). With lock, call inside the order's transaction.
+const priceOrder = async (db, { customerId = null, lines, couponCode = null, destination = {}, shippingMethod = null, lock = false }) => {
+  const { lines: items, total: goodsTotal, ...discounts } = await promotions.evaluate(db, { userId: customerId, lines, code: couponCode, lock });
+  const charges = await calculator.calculate(db, { lines: items, destination, shippingMethod, freeShipping: discounts.free_shipping });
+
+  const cents = (amount) => Math.round(parseFloat(amount) * 100);
+  const total = cents(goodsTotal) + cents(charges.shipping_amount) + (charges.prices_include_tax ? 0 : cents(charges.tax_amount));
+
+  return {
+    items: items.map((item, i) => ({ ...item, ...charges.lines[i] })),
+    ...discounts,
+    shipping_method: charges.shipping_method,
+    shipping_amount: charges.shipping_amount,
+    tax_amount: charges.tax_amount,
+    prices_include_tax: charges.prices_include_tax,
+    total: (total / 100).toFixed(2)
+  };
+};
+
+// Insert an order for lines checked by inventory.lockItems and take them out of stock, priced
+// by priceOrder; an unusable coupon or shipping method fails the order. Call inside the
+// transaction that locked them. Returns the order and the stock movements, whose low-stock
+// alerts go out once the transaction commits.
+const insertOrder = async (client, { userId, customerId = null, lines, shippingAddress, billingAddress, couponCode = null, destination = {}, shippingMethod = null, note = null }) => {
+  const pricing = await priceOrder(client, { customerId, lines, couponCode, destination, shippingMethod, lock: true });
+
+  const orderResult = await client.query(`
+    INSERT INTO orders (
+      user_id, subtotal_amount, discount_amount, shipping_amount, tax_amount, total_amount, prices_include_tax,
+      coupon_code, free_shipping, shipping_method, shipping_country, shipping_region, shipping_address, billing_address,
+      payment_due_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+      CASE WHEN $15::int > 0 THEN NOW() + $15::int * INTERVAL '1 minute' END)
+    RETURNING *
+  `, [
+    userId, pricing.subtotal, pricing.discount_total, pricing.shipping_amount, pricing.tax_amount, pricing.total, pricing.prices_include_tax,
+    pricing.coupon_code, pricing.free_shipping, pricing.shipping_method && pricing.shipping_method.code,
+    destination.country || null, destination.region || null, shippingAddress, billingAddress,
+    paymentTimeoutMinutes
+  ]);
+
+  const order = orderResult.rows[0];
+
+  await orderStatus.recordCreated(client, order, { note, changedBy: userId });
+
+  for (const item of pricing.items) {
+    await client.query(`
+      INSERT INTO order_items (order_id, product_id, variant_id, quantity, unit_price, total_price, discount_amount, tax_rate, tax_amount)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [order.id, item.product_id, item.variant_id, item.quantity, item.unit_price, item.line_total, item.discount_amount, item.tax_rate, item.tax_amount]);
+  }
+
+  await promotions.recordDiscounts(client, order.id, pricing.discounts);
+
+  const movements = await inventory.takeStock(client, lines, { orderId: order.id });
+
+  return { order, movements };
+};
+
+// Order with customer details and items, as returned when an order is placed
+const getPlacedOrder = async (orderId) => {
+  const orderResult = await pool.query(`
+    SELECT 
+      o.*,
+      u.username,
+      u.email
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.id
+    WHERE o.id = $1
+  `, [orderId]);
+
+  const itemsResult = await pool.query(`
+    SELECT 
+      oi.*,
+      p.name as product_name,
+      v.sku as variant_sku,
+      v.options as variant_options
+    FROM order_items oi
+    LEFT JOIN products p ON oi.product_id = p.id
+    LEFT JOIN product_variants v ON oi.variant_id = v.id
+    WHERE oi.order_id = $1
+  `, [orderId]);
+
+  return {
+    ...orderResult.rows[0],
+    items: itemsResult.rows,
+    discounts: await promotions.getOrderDiscounts(orderId)
+  };
+};
+
+// Create new order. A customer's access token places it for them; otherwise user_id names the
+// customer, but then coupons limited per customer cannot be used.
+app.post('/api/orders', authenticateIfPresent, async (req, res) => {
+  const { 
+    items, 
+    shipping_address, 
+    billing_address 
+  } = req.body || {};
+  const user_id = customerOf(req) || (req.body || {}).user_id;
+
+  // Validate required fields
+  if (!user_id || !items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ 
+      error: 'Missing required fields: user_id and items array' 
+    });
+  }
+
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
+
+    // Stock held by other customers' reservations is not available
+    const lines = await inventory.lockItems(client, items);
+
+    const { order, movements } = await insertOrder(client, {
+      userId: user_id,
+      customerId: customerOf(req),
+      lines,
+      shippingAddress: shipping_address,
+      billingAddress: billing_address,
+      ...checkoutOptions(req.body)
+    });
+
+    await client.query('COMMIT');
+    await stockChanged(lines.map(line => line.product_id));
+    await ledger.alertLowStock(movements);
     
-    const { 
-      user_id, 
-      items, 
-      shipping_address, 
-      billing_address 
-    } = req.body;
-
-    // Validate required fields
-    if (!user_id || !items || !Array.isArray(items) || items.length === 0) {
+    // Return the complete order with items
+    res.status(201).json(await getPlacedOrder(order.id));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating order:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Price an order without placing it: the same body as POST /api/orders, without user_id; send the
+// customer's access token to use coupons limited per customer. Returns the items with discounts
+// and tax, the totals and the shipping methods that can deliver it.
+app.post('/api/orders/quote', authenticateIfPresent, async (req, res) => {
+  const { items } = req.body || {};
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Missing required field: items array' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // Checked the way an order is, then rolled back so nothing is held
+    await client.query('BEGIN');
+
+    const options = checkoutOptions(req.body);
+    const lines = await inventory.lockItems(client, items);
+    const quote = await priceOrder(client, { customerId: customerOf(req), lines, ...options });
+    const shippingOptions = await calculator.shippingOptions(client, { lines: quote.items, destination: options.destination });
+
+    await client.query('ROLLBACK');
+
+    res.json({ ...quote, shipping_options: shippingOptions });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error quoting order:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// A reservation is for the customer who made it; staff with orders:manage can see any
+const canAccessReservation = (req, reservation) =>
+  reservation.user_id === req.user.user_id || (req.user.permissions || []).includes('orders:manage');
+
+// Hold stock while the customer checks out. The reservation expires after ttl_seconds
+// (default RESERVATION_TTL_SECONDS) unless it is confirmed into an order first.
+app.post('/api/reservations', auth.authenticate, async (req, res) => {
+  try {
+    const { items, ttl_seconds } = req.body || {};
+
+    if (!req.user.user_id) {
+      return res.status(403).json({ error: 'Reservations belong to customer accounts' });
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ 
-        error: 'Missing required fields: user_id and items array' 
+        error: 'Missing required field: items array' 
       });
     }
 
-    // Calculate total amount
-    let totalAmount = 0;
-    const processedItems = [];
+    const reservation = await inventory.reserve({ userId: req.user.user_id, items, ttlSeconds: ttl_seconds });
+
+    res.status(201).json(reservation);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error creating reservation:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get reservation by ID with items
+app.get('/api/reservations/:id', auth.authenticate, async (req, res) => {
+  try {
+    const reservation = await inventory.getReservation(pool, parseInt(req.params.id));
+
+    if (!reservation || !canAccessReservation(req, reservation)) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    res.json(reservation);
+  } catch (err) {
+    console.error('Error fetching reservation:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn a reservation into an order at current prices
+app.post('/api/reservations/:id/confirm', auth.authenticate, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const reservationId = parseInt(req.params.id);
+    const body = req.body || {};
+    const { shipping_address, billing_address } = body;
+
+    await client.query('BEGIN');
+
+    const reservation = await inventory.getReservation(client, reservationId, { forUpdate: true });
+
+    if (!reservation || !canAccessReservation(req, reservation)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    if (!reservation.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ error: `Reservation is ${reservation.status === 'active' ? 'expired' : reservation.status}` });
+    }
+
+    // The reservation's own hold counts towards what is available to it
+    const lines = await inventory.lockItems(client, reservation.items, { reservationId });
+
+    const { order, movements } = await insertOrder(client, {
+      userId: reservation.user_id,
+      // Staff confirming someone else's reservation do not get their per-customer promotions
+      customerId: reservation.user_id === req.user.user_id ? reservation.user_id : null,
+      lines,
+      shippingAddress: shipping_address,
+      billingAddress: billing_address,
+      ...checkoutOptions(body),
+      note: `Placed from reservation ${reservationId}`
+    });
+
+    await client.query(`
+      UPDATE reservations
+      SET status = 'confirmed', order_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [order.id, reservationId]);
+
+    await client.query('COMMIT');
+    await stockChanged(lines.map(line => line.product_id));
+    await ledger.alertLowStock(movements);
+
+    res.status(201).json(await getPlacedOrder(order.id));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error confirming reservation:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Release a reservation before it expires
+app.delete('/api/reservations/:id', auth.authenticate, async (req, res) => {
+  try {
+    const isStaff = (req.user.permissions || []).includes('orders:manage');
+
+    if (!(await inventory.release(parseInt(req.params.id), { userId: isStaff ? null : req.user.user_id }))) {
+      return res.status(404).json({ error: 'Active reservation not found' });
+    }
+
+    res.json({ message: 'Reservation released successfully' });
+  } catch (err) {
+    console.error('Error releasing reservation:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// On hand, reserved and available quantities, e.g. ?product_ids=1,2&variant_ids=7
+app.get('/api/inventory/availability', async (req, res) => {
+  try {
+    const parseIds = (value) => String(value || '').split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
+
+    res.json(await inventory.getAvailability({
+      productIds: parseIds(req.query.product_ids),
+      variantIds: parseIds(req.query.variant_ids)
+    }));
+  } catch (err) {
+    console.error('Error fetching availability:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    for (const item of items) {
-      // Get product details and check stock
-      const productResult = await client.query(
-        'SELECT id, name, price, stock_quantity FROM products WHERE id = $1 AND is_active = true',
-        [item.product_id]
-      );
+// Change stock by hand: { "product_id" or "variant_id", "reason", "note", and either
+// "quantity_change" (e.g. 24 received, -2 damaged) or "quantity" (the counted stock on hand) }.
+// reason is one of MANUAL_REASONS; sales and cancellations are only recorded by orders.
+app.post('/api/inventory/adjustments', auth.authenticate, auth.requirePermission('inventory:manage'), async (req, res) => {
+  const { product_id, variant_id, quantity_change, quantity, reason, note } = req.body;
 
+  if (!product_id && !variant_id) {
+    return res.status(400).json({ error: 'product_id or variant_id is required' });
+  }
+  if (!MANUAL_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason is required and must be one of ${MANUAL_REASONS.join(', ')}` });
+  }
+  if ((quantity_change === undefined) === (quantity === undefined)) {
+    return res.status(400).json({ error: 'Send either quantity_change or quantity' });
+  }
+  if (quantity_change !== undefined && (!Number.isInteger(quantity_change) || quantity_change === 0)) {
+    return res.status(400).json({ error: 'quantity_change must be a non-zero whole number' });
+  }
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+    return res.status(400).json({ error: 'quantity must be a non-negative whole number' });
+  }
+  if (note !== undefined && note !== null && String(note).length > 500) {
+    return res.status(400).json({ error: 'note must be at most 500 characters' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const target = { productId: product_id ? parseInt(product_id) : null, variantId: variant_id ? parseInt(variant_id) : null };
+
+    if (target.variantId) {
+      const variantResult = await client.query('SELECT product_id FROM product_variants WHERE id = $1', [target.variantId]);
+      if (variantResult.rows.length === 0 || (target.productId && variantResult.rows[0].product_id !== target.productId)) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+    } else {
+      const productResult = await client.query(`
+        SELECT EXISTS (SELECT 1 FROM product_variants WHERE product_id = products.id AND is_active = true) as has_variants
+        FROM products WHERE id = $1
+      `, [target.productId]);
       if (productResult.rows.length === 0) {
-        throw new Error(`Product with ID ${item.product_id} not found or inactive`);
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      if (productResult.rows[0].has_variants) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'This product has variants; adjust a variant by variant_id' });
       }
+    }
+
+    const details = { ...target, reason, note: note || null, createdBy: req.user.user_id || null };
+    const movement = quantity !== undefined
+      ? await ledger.setStock(client, { ...details, quantity })
+      : await ledger.moveStock(client, { ...details, change: quantity_change });
 
-      const product = productResult.rows[0];
-      
-      if (product.stock_quantity < item.quantity) {
-        throw new Error(`Insufficient stock for product ${product.name}. Available: ${product.stock_quantity}, Requested: ${item.quantity}`);
+    await client.query('COMMIT');
+
+    if (!movement) {
+      return res.json({ message: 'Stock is already at that quantity; nothing was recorded' });
+    }
+
+    await stockChanged([movement.product_id]);
+    await ledger.alertLowStock([movement]);
+
+    res.status(201).json(movement);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error adjusting stock:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// The inventory ledger, newest first; filter with ?product_id=, ?variant_id= and ?reason=
+app.get('/api/inventory/movements', auth.authenticate, auth.requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    res.json(await ledger.listMovements({
+      productId: parseInt(req.query.product_id) || null,
+      variantId: parseInt(req.query.variant_id) || null,
+      reason: req.query.reason || null,
+      page,
+      limit
+    }));
+  } catch (err) {
+    console.error('Error fetching inventory movements:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Products and variants below their reorder threshold
+app.get('/api/inventory/low-stock', auth.authenticate, auth.requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    res.json(await ledger.lowStockReport());
+  } catch (err) {
+    console.error('Error fetching low-stock report:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Work out whose cart a request is for: the customer's when it carries an access token, otherwise
+// the guest cart named by the X-Cart-Id header (req.cart.guestId is null when there is none yet)
+const resolveCart = (req, res, next) => {
+  if (req.headers['authorization'] || req.headers['x-api-key']) {
+    return auth.authenticate(req, res, () => {
+      if (!req.user.user_id) {
+        return res.status(403).json({ error: 'Carts belong to customer accounts' });
       }
+      req.cart = { userId: req.user.user_id };
+      next();
+    });
+  }
 
-      const itemTotal = parseFloat(product.price) * item.quantity;
-      totalAmount += itemTotal;
+  const guestId = req.headers['x-cart-id'];
+  if (guestId && !isGuestId(guestId)) {
+    return res.status(400).json({ error: 'Invalid X-Cart-Id' });
+  }
 
-      processedItems.push({
-        product_id: item.product_id,
-        quantity: item.quantity,
-        unit_price: product.price,
-        total_price: itemTotal
-      });
+  req.cart = { guestId: guestId || null };
+  next();
+};
+
+// The cart and, for guests, the id to send as X-Cart-Id on later requests
+const sendCart = async (req, res, status = 200) => {
+  const cart = await carts.getCart(req.cart);
+  res.status(status).json(req.cart.guestId ? { cart_id: req.cart.guestId, ...cart } : cart);
+};
+
+const sendCartError = (res, err, action) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+};
 
-      // Update product stock
-      await client.query(
-        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+// View the cart with current prices and stock
+app.get('/api/cart', resolveCart, async (req, res) => {
+  try {
+    await sendCart(req, res);
+  } catch (err) {
+    sendCartError(res, err, 'fetching cart');
+  }
+});
+
+// Add an item: { "product_id" or "variant_id", "quantity" }. A guest without a cart gets a new
+// one; its id comes back as cart_id.
+app.post('/api/cart/items', resolveCart, async (req, res) => {
+  try {
+    if (!req.cart.userId && !req.cart.guestId) {
+      req.cart.guestId = carts.newGuestId();
     }
 
-    // Create order
-    const orderResult = await client.query(`
-      INSERT INTO orders (user_id, total_amount, shipping_address, billing_address)
-      VALUES ($1, $2, $3, $4)
-      RETURNING *
-    `, [user_id, totalAmount, shipping_address, billing_address]);
+    await carts.addItem(req.cart, req.body || {});
+    await sendCart(req, res, 201);
+  } catch (err) {
+    sendCartError(res, err, 'adding cart item');
+  }
+});
 
-    const order = orderResult.rows[0];
+// Change the quantity of a line, e.g. PUT /api/cart/items/variant-12 { "quantity": 3 }; 0 removes it
+app.put('/api/cart/items/:key', resolveCart, async (req, res) => {
+  try {
+    await carts.updateItem(req.cart, req.params.key, (req.body || {}).quantity);
+    await sendCart(req, res);
+  } catch (err) {
+    sendCartError(res, err, 'updating cart item');
+  }
+});
 
-    // Create order items
-    for (const item of processedItems) {
-      await client.query(`
-        INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [order.id, item.product_id, item.quantity, item.unit_price, item.total_price]);
+app.delete('/api/cart/items/:key', resolveCart, async (req, res) => {
+  try {
+    await carts.removeItem(req.cart, req.params.key);
+    await sendCart(req, res);
+  } catch (err) {
+    sendCartError(res, err, 'removing cart item');
+  }
+});
+
+app.delete('/api/cart', resolveCart, async (req, res) => {
+  try {
+    await carts.clearCart(req.cart);
+    await sendCart(req, res);
+  } catch (err) {
+    sendCartError(res, err, 'clearing cart');
+  }
+});
+
+// Merge the guest cart in X-Cart-Id into the logged-in customer's cart. login-service calls this
+// when a login request includes the guest's cart_id.
+app.post('/api/cart/merge', auth.authenticate, async (req, res) => {
+  try {
+    const guestId = req.headers['x-cart-id'];
+
+    if (!req.user.user_id) {
+      return res.status(403).json({ error: 'Carts belong to customer accounts' });
+    }
+    if (!isGuestId(guestId)) {
+      return res.status(400).json({ error: 'X-Cart-Id with the guest cart id is required' });
     }
 
-    await client.query('COMMIT');
-    
-    // Return the complete order with items
-    const completeOrderResult = await pool.query(`
-      SELECT 
-        o.*,
-        u.username,
-        u.email
-      FROM orders o
-      LEFT JOIN users u ON o.user_id = u.id
-      WHERE o.id = $1
-    `, [order.id]);
+    const merged = await carts.mergeGuestCart(guestId, req.user.user_id);
 
-    const itemsResult = await pool.query(`
-      SELECT 
-        oi.*,
-        p.name as product_name
-      FROM order_items oi
-      LEFT JOIN products p ON oi.product_id = p.id
-      WHERE oi.order_id = $1
-    `, [order.id]);
+    req.cart = { userId: req.user.user_id };
+    const cart = await carts.getCart(req.cart);
+    res.json({ merged_items: merged, ...cart });
+  } catch (err) {
+    sendCartError(res, err, 'merging carts');
+  }
+});
 
-    const completeOrder = {
-      ...completeOrderResult.rows[0],
-      items: itemsResult.rows
-    };
+// What the cart comes to with the automatic promotions, shipping and tax, and optionally a
+// coupon, e.g. { "coupon_code": "SPRING10", "shipping_country": "US", "shipping_region": "CA" }.
+// Lines that can no longer be bought are left out. A coupon or shipping_method that cannot be
+// used is refused with the reason; checkout applies the same rules again.
+app.post('/api/cart/preview', resolveCart, async (req, res) => {
+  try {
+    const cart = await carts.getCart(req.cart);
+    const options = checkoutOptions(req.body || {});
+    const quote = await priceOrder(pool, {
+      customerId: req.cart.userId || null,
+      lines: cart.items.filter(item => item.status !== 'unavailable'),
+      ...options
+    });
+
+    res.json({
+      ...(req.cart.guestId ? { cart_id: req.cart.guestId } : {}),
+      ...quote,
+      shipping_options: await calculator.shippingOptions(pool, { lines: quote.items, destination: options.destination }),
+      can_checkout: cart.can_checkout
+    });
+  } catch (err) {
+    sendCartError(res, err, 'previewing cart');
+  }
+});
+
+// Place an order for everything in the customer's cart and empty it. Prices and stock are
+// checked again as the order is placed, so this can fail with 409 if stock ran out.
+app.post('/api/cart/checkout', resolveCart, async (req, res) => {
+  if (!req.cart.userId) {
+    return res.status(401).json({ error: 'Log in to check out' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const items = await carts.listItems(req.cart);
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    await client.query('BEGIN');
+
+    const lines = await inventory.lockItems(client, items);
 
-    res.status(201).json(completeOrder);
+    const { order, movements } = await insertOrder(client, {
+      userId: req.cart.userId,
+      customerId: req.cart.userId,
+      lines,
+      shippingAddress: (req.body || {}).shipping_address,
+      billingAddress: (req.body || {}).billing_address,
+      ...checkoutOptions(req.body || {}),
+      note: 'Placed from cart'
+    });
+
+    await carts.clearCart(req.cart, client);
+
+    await client.query('COMMIT');
+    await stockChanged(lines.map(line => line.product_id));
+    await ledger.alertLowStock(movements);
+
+    res.status(201).json(await getPlacedOrder(order.id));
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('Error creating order:', err);
-    res.status(500).json({ error: err.message });
+    sendCartError(res, err, 'checking out cart');
   } finally {
     client.release();
   }
 });
 
-// Update order status
-app.patch('/api/orders/:id/status', async (req, res) => {
+// Promotions, newest first, with how many orders used each
+app.get('/api/promotions', auth.authenticate, auth.requirePermission('promotions:manage'), async (req, res) => {
   try {
-    const orderId = parseInt(req.params.id);
-    const { status } = req.body;
+    res.json(await promotions.listPromotions());
+  } catch (err) {
+    console.error('Error fetching promotions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status. Valid statuses: ' + validStatuses.join(', ') 
-      });
+app.get('/api/promotions/:id', auth.authenticate, auth.requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    res.json(await promotions.getPromotion(parseInt(req.params.id)));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error('Error fetching promotion:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const result = await pool.query(`
-      UPDATE orders 
-      SET status = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `, [status, orderId]);
+// Create a coupon (with a code) or an automatic promotion (without one), e.g.
+// { "name": "Spring sale", "code": "SPRING10", "kind": "percentage", "value": 10, "min_subtotal": 50,
+//   "category_ids": [3], "usage_limit_per_user": 1, "ends_at": "2026-05-01T00:00:00Z" }
+app.post('/api/promotions', auth.authenticate, auth.requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    res.status(201).json(await promotions.createPromotion(req.body || {}, req.user.user_id || null));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error creating promotion:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+// Change a promotion; fields left out keep their values. Orders already placed are not affected.
+app.put('/api/promotions/:id', auth.authenticate, auth.requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    res.json(await promotions.updatePromotion(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error('Error updating promotion:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json(result.rows[0]);
+// End a promotion. It is kept, deactivated, as orders refer to it.
+app.delete('/api/promotions/:id', auth.authenticate, auth.requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    res.json(await promotions.deactivatePromotion(parseInt(req.params.id)));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error deactivating promotion:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tax rates by destination and category, for the builtin charge calculator
+app.get('/api/tax-rates', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    res.json(await chargeRules.listTaxRates());
+  } catch (err) {
+    console.error('Error fetching tax rates:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// { "name": "California", "country": "US", "region": "CA", "rate": 7.25 }; add "category_id"
+// for a rate that only applies to products in that category
+app.post('/api/tax-rates', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    res.status(201).json(await chargeRules.createTaxRate(req.body || {}));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error creating tax rate:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/tax-rates/:id', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    res.json(await chargeRules.updateTaxRate(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error updating tax rate:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/tax-rates/:id', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    await chargeRules.deleteTaxRate(parseInt(req.params.id));
+    res.json({ message: 'Tax rate deleted successfully' });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error deleting tax rate:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shipping methods, for the builtin charge calculator
+app.get('/api/shipping-methods', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    res.json(await chargeRules.listShippingMethods());
+  } catch (err) {
+    console.error('Error fetching shipping methods:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// e.g. { "code": "standard", "name": "Standard", "basis": "weight", "countries": ["US"],
+//        "rates": [{ "min": 0, "amount": 4.99 }, { "min": 5, "amount": 9.99 }] }
+app.post('/api/shipping-methods', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    res.status(201).json(await chargeRules.createShippingMethod(req.body || {}));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error creating shipping method:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/shipping-methods/:id', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    res.json(await chargeRules.updateShippingMethod(parseInt(req.params.id), req.body || {}));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error updating shipping method:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/shipping-methods/:id', auth.authenticate, auth.requirePermission('charges:manage'), async (req, res) => {
+  try {
+    await chargeRules.deleteShippingMethod(parseInt(req.params.id));
+    res.json({ message: 'Shipping method deleted successfully' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error deleting shipping method:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update order status: { "status": "shipped", "note": "Tracking 1Z999" }. Only the changes in
+// ORDER_TRANSITIONS (orderStatus.js) are allowed.
+app.patch('/api/orders/:id/status', auth.authenticate, auth.requirePermission('orders:manage'), async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    const order = await orderStatus.changeStatus(parseInt(req.params.id), {
+      status,
+      note: note || null,
+      changedBy: req.user.user_id || null
+    });
+
+    res.json(order);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error updating order status:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Cancel order
-app.delete('/api/orders/:id', async (req, res) => {
-  const client = await pool.connect();
-  
+// The order when the request comes from the customer who placed it or from staff, otherwise
+// null, so other customers cannot tell whether it exists
+const findOwnOrder = async (req, orderId) => {
+  const orderResult = await pool.query('SELECT id, user_id, status FROM orders WHERE id = $1', [orderId]);
+  const isStaff = (req.user.permissions || []).includes('orders:manage');
+
+  if (orderResult.rows.length === 0 || (!isStaff && orderResult.rows[0].user_id !== req.user.user_id)) {
+    return null;
+  }
+  return orderResult.rows[0];
+};
+
+// An order's status changes, oldest first, for the customer who placed it or staff
+app.get('/api/orders/:id/history', auth.authenticate, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
     const orderId = parseInt(req.params.id);
+    const order = await findOwnOrder(req, orderId);
 
-    // Get order details
-    const orderResult = await client.query(
-      'SELECT * FROM orders WHERE id = $1',
-      [orderId]
-    );
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
-    if (orderResult.rows.length === 0) {
+    res.json({
+      order_id: orderId,
+      status: order.status,
+      history: await orderStatus.getHistory(orderId)
+    });
+  } catch (err) {
+    console.error('Error fetching order history:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pay for a pending order: { "payment_method": "<token from the provider's payment form>" }.
+// With the mock provider, tok_decline is declined and tok_pending waits for a webhook. A declined
+// payment is answered with 402 and can be retried with another payment method.
+app.post('/api/orders/:id/payments', auth.authenticate, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const paymentMethod = (req.body || {}).payment_method;
+
+    if (!(await findOwnOrder(req, orderId))) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    if (!paymentMethod) {
+      return res.status(400).json({ error: 'payment_method is required' });
+    }
+
+    const payment = await payments.pay(orderId, { paymentMethod });
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({ error: `Payment failed: ${payment.failure_reason}`, payment });
+    }
+    res.status(201).json(payment);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error paying for order:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const order = orderResult.rows[0];
+// An order's payment attempts, newest first
+app.get('/api/orders/:id/payments', auth.authenticate, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
 
-    if (order.status === 'delivered') {
-      return res.status(400).json({ error: 'Cannot cancel delivered order' });
+    if (!(await findOwnOrder(req, orderId))) {
+      return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Get order items to restore stock
-    const itemsResult = await client.query(
-      'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
-      [orderId]
-    );
+    res.json(await payments.listPayments(orderId));
+  } catch (err) {
+    console.error('Error fetching payments:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Restore stock for each item
-    for (const item of itemsResult.rows) {
-      await client.query(
-        'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+// Payment provider webhooks, authenticated by the provider's signature. A successful payment
+// confirms its order. Answered with 2xx once handled, so the provider stops retrying.
+app.post('/api/payments/webhook', async (req, res) => {
+  try {
+    res.json(await payments.handleWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.headers));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error('Error handling payment webhook:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Update order status to cancelled
-    await client.query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['cancelled', orderId]
-    );
+// Capture an authorized payment (with PAYMENT_CAPTURE=manual, e.g. when the order ships)
+app.post('/api/payments/:id/capture', auth.authenticate, auth.requirePermission('payments:manage'), async (req, res) => {
+  try {
+    res.json(await payments.capture(parseInt(req.params.id)));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error capturing payment:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    await client.query('COMMIT');
-    
-    res.json({ message: 'Order cancelled successfully' });
+// Release an authorized payment that will not be captured
+app.post('/api/payments/:id/void', auth.authenticate, auth.requirePermission('payments:manage'), async (req, res) => {
+  try {
+    res.json(await payments.voidPayment(parseInt(req.params.id)));
   } catch (err) {
-    await client.query('ROLLBACK');
-    console.error('Error cancelling order:', err);
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error voiding payment:', err);
     res.status(500).json({ error: 'Internal server error' });
-  } finally {
-    client.release();
   }
 });
 
-// Get order statistics
-app.get('/api/orders/stats', async (req, res) => {
+// Refund a captured payment: { "amount": 10.00 }, or without an amount everything not yet refunded
+app.post('/api/payments/:id/refunds', auth.authenticate, auth.requirePermission('payments:manage'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        COUNT(*) as total_orders,
-        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_orders,
-        COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as confirmed_orders,
-        COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing_orders,
-        COUNT(CASE WHEN status = 'shipped' THEN 1 END) as shipped_orders,
-        COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_orders,
-        COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_orders,
-        COALESCE(SUM(total_amount), 0) as total_revenue,
-        COALESCE(AVG(total_amount), 0) as average_order_value
-      FROM orders
-    `);
+    res.json(await payments.refund(parseInt(req.params.id), (req.body || {}).amount));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error refunding payment:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json(result.rows[0]);
+// Cancel order, by the customer who placed it or staff; the stock goes back only the first time
+// an order is cancelled
+app.delete('/api/orders/:id', auth.authenticate, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (!(await findOwnOrder(req, orderId))) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    await orderStatus.changeStatus(orderId, {
+      status: 'cancelled',
+      note: (req.body && req.body.note) || null,
+      changedBy: req.user.user_id || null
+    });
+
+    res.json({ message: 'Order cancelled successfully' });
   } catch (err) {
-    console.error('Error fetching order statistics:', err);
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error cancelling order:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -365,6 +1293,7 @@ app.listen(port, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('Received SIGTERM, shutting down gracefully');
+  redisClient.quit().catch(() => {});
   pool.end(() => {
     console.log('Database pool closed');
     process.exit(0);
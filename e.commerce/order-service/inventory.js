@@ -0,0 +1,333 @@
+// Stock checks and time-limited reservations for order-service
+//
+// stock_quantity on products and product_variants is the stock on hand. An active reservation
+// holds part of it while a customer checks out, so available = on hand - reserved. Stock rows
+// are locked while they are checked, so two checkouts cannot both take the last item.
+// onStockChange(productIds) is called after reservations change what is available, so caches of
+// product stock can be dropped. Stock taken by orders is recorded in the inventory ledger
+// (shared/stockLedger.js).
+
+const inventoryError = (message, status = 409) => Object.assign(new Error(message), { status });
+
+// Same product or variant listed twice becomes one line, so the availability check sees the total
+const mergeItems = (items) => {
+  const merged = new Map();
+
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+
+    if (!item.product_id && !item.variant_id) {
+      throw inventoryError('Each item needs a product_id or variant_id', 400);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw inventoryError('Each item needs a positive whole quantity', 400);
+    }
+
+    const key = item.variant_id ? `variant:${item.variant_id}` : `product:${item.product_id}`;
+    const existing = merged.get(key);
+
+    merged.set(key, existing
+      ? { ...existing, quantity: existing.quantity + quantity }
+      : { product_id: item.product_id ? parseInt(item.product_id) : null, variant_id: item.variant_id ? parseInt(item.variant_id) : null, quantity });
+  }
+
+  // Lock in a fixed order so concurrent checkouts of the same items cannot deadlock
+  return [...merged.values()].sort((a, b) =>
+    (a.variant_id || 0) - (b.variant_id || 0) || (a.product_id || 0) - (b.product_id || 0));
+};
+
+// maxActivePerUser caps the reservations a customer can hold at once, so one account cannot keep
+// the stock tied up
+const createInventory = (pool, { ledger, defaultTtlSeconds = 15 * 60, maxTtlSeconds = 60 * 60, maxActivePerUser = 3, onStockChange = async () => {} } = {}) => {
+  // Quantity held by active reservations, leaving out the one being confirmed
+  const reservedQuantity = async (client, { productId = null, variantId = null }, excludeReservationId) => {
+    const result = await client.query(`
+      SELECT COALESCE(SUM(quantity), 0)::int as reserved
+      FROM active_reservation_items
+      WHERE ${variantId ? 'variant_id = $1' : 'product_id = $1 AND variant_id IS NULL'}
+        AND ($2::int IS NULL OR reservation_id <> $2)
+    `, [variantId || productId, excludeReservationId]);
+
+    return result.rows[0].reserved;
+  };
+
+  // What a product or variant sells for now, after scheduled price changes and sales (see the
+  // current_prices view in database/init.sql)
+  const currentPrice = async (client, { productId, variantId = null }) => {
+    const result = await client.query(`
+      SELECT price FROM current_prices
+      WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2::int
+    `, [productId, variantId]);
+
+    return result.rows[0].price;
+  };
+
+  // Lock the stock rows for a set of items and check the quantities are available. Call inside a
+  // transaction. Returns one line per product or variant with the price in effect now.
+  const lockItems = async (client, items, { reservationId = null } = {}) => {
+    const lines = [];
+
+    for (const item of mergeItems(items)) {
+      let line;
+
+      if (item.variant_id) {
+        // Variant: price falls back to the product price, stock is the variant's own
+        const variantResult = await client.query(`
+          SELECT v.id, v.product_id, v.sku, v.stock_quantity, p.name
+          FROM product_variants v
+          JOIN products p ON v.product_id = p.id
+          WHERE v.id = $1 AND v.is_active = true AND p.is_active = true
+          FOR UPDATE OF v
+        `, [item.variant_id]);
+
+        if (variantResult.rows.length === 0) {
+          throw inventoryError(`Variant with ID ${item.variant_id} not found or inactive`, 400);
+        }
+
+        const variant = variantResult.rows[0];
+
+        if (item.product_id && item.product_id !== variant.product_id) {
+          throw inventoryError(`Variant ${item.variant_id} does not belong to product ${item.product_id}`, 400);
+        }
+
+        line = {
+          product_id: variant.product_id,
+          variant_id: variant.id,
+          name: `${variant.name} (${variant.sku})`,
+          on_hand: variant.stock_quantity,
+          reserved: await reservedQuantity(client, { variantId: variant.id }, reservationId),
+          unit_price: await currentPrice(client, { productId: variant.product_id, variantId: variant.id })
+        };
+      } else {
+        const productResult = await client.query(`
+          SELECT
+            id, name, stock_quantity,
+            EXISTS (SELECT 1 FROM product_variants WHERE product_id = products.id AND is_active = true) as has_variants
+          FROM products
+          WHERE id = $1 AND is_active = true
+          FOR UPDATE
+        `, [item.product_id]);
+
+        if (productResult.rows.length === 0) {
+          throw inventoryError(`Product with ID ${item.product_id} not found or inactive`, 400);
+        }
+
+        const product = productResult.rows[0];
+
+        if (product.has_variants) {
+          throw inventoryError(`Product ${product.name} has variants; order one by variant_id`, 400);
+        }
+
+        line = {
+          product_id: product.id,
+          variant_id: null,
+          name: product.name,
+          on_hand: product.stock_quantity,
+          reserved: await reservedQuantity(client, { productId: product.id }, reservationId),
+          unit_price: await currentPrice(client, { productId: product.id })
+        };
+      }
+
+      const available = line.on_hand - line.reserved;
+      if (available < item.quantity) {
+        throw inventoryError(`Insufficient stock for product ${line.name}. Available: ${Math.max(available, 0)}, Requested: ${item.quantity}`);
+      }
+
+      lines.push({
+        product_id: line.product_id,
+        variant_id: line.variant_id,
+        quantity: item.quantity,
+        unit_price: line.unit_price
+      });
+    }
+
+    return lines;
+  };
+
+  // Take locked lines out of the stock on hand as a sale for orderId; returns the ledger movements
+  const takeStock = async (client, lines, { orderId }) => {
+    const movements = [];
+
+    for (const line of lines) {
+      movements.push(await ledger.moveStock(client, {
+        productId: line.product_id,
+        variantId: line.variant_id,
+        change: -line.quantity,
+        reason: 'sale',
+        orderId
+      }));
+    }
+
+    return movements;
+  };
+
+  const getReservation = async (client, reservationId, { forUpdate = false } = {}) => {
+    const result = await client.query(`
+      SELECT *, status = 'active' AND expires_at > NOW() as is_active
+      FROM reservations
+      WHERE id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [reservationId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const itemsResult = await client.query(`
+      SELECT ri.product_id, ri.variant_id, ri.quantity, p.name as product_name, v.sku as variant_sku
+      FROM reservation_items ri
+      LEFT JOIN products p ON ri.product_id = p.id
+      LEFT JOIN product_variants v ON ri.variant_id = v.id
+      WHERE ri.reservation_id = $1
+      ORDER BY ri.id
+    `, [reservationId]);
+
+    return { ...result.rows[0], items: itemsResult.rows };
+  };
+
+  // Hold items for ttlSeconds (capped at maxTtlSeconds)
+  const reserve = async ({ userId, items, ttlSeconds }) => {
+    if (ttlSeconds !== undefined && ttlSeconds !== null && (!Number.isInteger(Number(ttlSeconds)) || Number(ttlSeconds) < 1)) {
+      throw inventoryError('ttl_seconds must be a whole number of at least 1', 400);
+    }
+
+    const ttl = Math.min(ttlSeconds ? Number(ttlSeconds) : defaultTtlSeconds, maxTtlSeconds);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // The customer's row is locked so two requests cannot both take the last free slot
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const activeResult = await client.query(
+        "SELECT COUNT(*) as count FROM reservations WHERE user_id = $1 AND status = 'active' AND expires_at > NOW()",
+        [userId]
+      );
+      if (parseInt(activeResult.rows[0].count) >= maxActivePerUser) {
+        throw inventoryError(`You can hold at most ${maxActivePerUser} reservations at a time; confirm or release one first`);
+      }
+
+      const lines = await lockItems(client, items);
+
+      const reservationResult = await client.query(`
+        INSERT INTO reservations (user_id, expires_at)
+        VALUES ($1, NOW() + $2 * INTERVAL '1 second')
+        RETURNING id
+      `, [userId, ttl]);
+
+      const reservationId = reservationResult.rows[0].id;
+
+      for (const line of lines) {
+        await client.query(`
+          INSERT INTO reservation_items (reservation_id, product_id, variant_id, quantity)
+          VALUES ($1, $2, $3, $4)
+        `, [reservationId, line.product_id, line.variant_id, line.quantity]);
+      }
+
+      await client.query('COMMIT');
+      await onStockChange(lines.map(line => line.product_id));
+
+      return getReservation(pool, reservationId);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Report the products held by reservations that just ended
+  const releasedStock = async (reservationIds) => {
+    if (reservationIds.length === 0) {
+      return;
+    }
+
+    const result = await pool.query(
+      'SELECT DISTINCT product_id FROM reservation_items WHERE reservation_id = ANY($1)',
+      [reservationIds]
+    );
+    await onStockChange(result.rows.map(row => row.product_id));
+  };
+
+  // Give held stock back; returns false when there was no active reservation (belonging to
+  // userId, when given)
+  const release = async (reservationId, { userId = null } = {}) => {
+    const result = await pool.query(`
+      UPDATE reservations
+      SET status = 'released', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active' AND ($2::int IS NULL OR user_id = $2)
+      RETURNING id
+    `, [reservationId, userId]);
+
+    await releasedStock(result.rows.map(row => row.id));
+
+    return result.rowCount > 0;
+  };
+
+  // Mark reservations past their expiry as expired. Availability already ignores them, so
+  // this only keeps the table tidy and the statuses accurate.
+  const expireReservations = async () => {
+    const result = await pool.query(`
+      UPDATE reservations
+      SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'active' AND expires_at <= NOW()
+      RETURNING id
+    `);
+
+    await releasedStock(result.rows.map(row => row.id));
+
+    return result.rowCount;
+  };
+
+  const startSweeper = (intervalSeconds = 60) => setInterval(() => {
+    expireReservations()
+      .then(count => count > 0 && console.log(`Expired ${count} stale reservations`))
+      .catch(err => console.error('Error expiring reservations:', err));
+  }, intervalSeconds * 1000).unref();
+
+  // On hand, reserved and available quantities for products and variants
+  const getAvailability = async ({ productIds = [], variantIds = [] }) => {
+    const products = await pool.query(`
+      SELECT
+        p.id as product_id,
+        p.stock_quantity as on_hand,
+        COALESCE(SUM(ari.quantity), 0)::int as reserved
+      FROM products p
+      LEFT JOIN active_reservation_items ari ON ari.product_id = p.id AND ari.variant_id IS NULL
+      WHERE p.id = ANY($1)
+      GROUP BY p.id
+    `, [productIds]);
+
+    const variants = await pool.query(`
+      SELECT
+        v.id as variant_id,
+        v.product_id,
+        v.stock_quantity as on_hand,
+        COALESCE(SUM(ari.quantity), 0)::int as reserved
+      FROM product_variants v
+      LEFT JOIN active_reservation_items ari ON ari.variant_id = v.id
+      WHERE v.id = ANY($1)
+      GROUP BY v.id
+    `, [variantIds]);
+
+    const withAvailable = (row) => ({ ...row, available: Math.max(row.on_hand - row.reserved, 0) });
+
+    return {
+      products: products.rows.map(withAvailable),
+      variants: variants.rows.map(withAvailable)
+    };
+  };
+
+  return {
+    lockItems,
+    takeStock,
+    getReservation,
+    reserve,
+    release,
+    expireReservations,
+    startSweeper,
+    getAvailability
+  };
+};
+
+module.exports = { createInventory, inventoryError };
@@ -0,0 +1,139 @@
+// Order status changes for order-service
+//
+// An order moves through ORDER_TRANSITIONS; any other change is refused. Each change locks the
+// order, runs the side effects of the new status and is recorded in order_status_history with
+// who made it and an optional note. Cancelled and delivered orders cannot change again, so the
+// side effects of a status (e.g. restoring stock and returning payments on cancellation) run at
+// most once.
+
+const statusError = (message, status = 409) => Object.assign(new Error(message), { status });
+
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// onCancel(client, order) runs inside the cancelling transaction, e.g. to void or refund payments
+const createOrderStatus = (pool, { ledger, onStockChange = async () => {}, onCancel = async () => {} } = {}) => {
+  // Side effects of entering a status, run inside the transaction; each returns the ids of
+  // products whose stock it changed
+  const sideEffects = {
+    // Put the items back in stock, on the variant when one was ordered, and give back what was paid
+    cancelled: async (client, order) => {
+      await onCancel(client, order);
+
+      const itemsResult = await client.query(
+        'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1 ORDER BY id',
+        [order.id]
+      );
+
+      for (const item of itemsResult.rows) {
+        await ledger.moveStock(client, {
+          productId: item.product_id,
+          variantId: item.variant_id,
+          change: item.quantity,
+          reason: 'cancellation',
+          orderId: order.id
+        });
+      }
+
+      return itemsResult.rows.map(item => item.product_id);
+    }
+  };
+
+  const recordChange = (client, { orderId, fromStatus, toStatus, note = null, changedBy = null }) => client.query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [orderId, fromStatus, toStatus, note, changedBy]);
+
+  // Start the history of an order just inserted with client
+  const recordCreated = (client, order, { note = null, changedBy = null } = {}) =>
+    recordChange(client, { orderId: order.id, fromStatus: null, toStatus: order.status, note, changedBy });
+
+  // Move an order to `status`; returns the updated order. Throws with status 404 when there is
+  // no such order, 400 for an unknown status and 409 when the transition is not allowed.
+  // With `from`, the order must still be in that status; `check(client, order)` runs with the
+  // order locked and may throw to refuse the change.
+  const changeStatus = async (orderId, { status, note = null, changedBy = null, from = null, check = null }) => {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw statusError(`Invalid status. Valid statuses: ${ORDER_STATUSES.join(', ')}`, 400);
+    }
+    if (note !== null && String(note).length > 500) {
+      throw statusError('note must be at most 500 characters', 400);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+      if (orderResult.rows.length === 0) {
+        throw statusError('Order not found', 404);
+      }
+
+      const order = orderResult.rows[0];
+
+      if (from && order.status !== from) {
+        throw statusError(`Order is ${order.status}, no longer ${from}`);
+      }
+      if (order.status === status) {
+        throw statusError(`Order is already ${status}`);
+      }
+      if (!(ORDER_TRANSITIONS[order.status] || []).includes(status)) {
+        const allowed = ORDER_TRANSITIONS[order.status] || [];
+        throw statusError(`Cannot change a ${order.status} order to ${status}` +
+          (allowed.length > 0 ? `; it can become ${allowed.join(' or ')}` : ''));
+      }
+
+      if (check) {
+        await check(client, order);
+      }
+
+      const stockChangedIds = sideEffects[status] ? await sideEffects[status](client, order) : [];
+
+      const updated = await client.query(
+        'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [status, orderId]
+      );
+
+      await recordChange(client, { orderId, fromStatus: order.status, toStatus: status, note, changedBy });
+
+      await client.query('COMMIT');
+
+      if (stockChangedIds.length > 0) {
+        await onStockChange(stockChangedIds);
+      }
+
+      return updated.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  // An order's status changes, oldest first
+  const getHistory = async (orderId) => {
+    const result = await pool.query(`
+      SELECT h.id, h.from_status, h.to_status, h.note, h.changed_by, u.username as changed_by_username, h.created_at
+      FROM order_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.order_id = $1
+      ORDER BY h.created_at, h.id
+    `, [orderId]);
+
+    return result.rows;
+  };
+
+  return { recordCreated, changeStatus, getHistory };
+};
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS, createOrderStatus };
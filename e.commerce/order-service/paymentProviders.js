@@ -0,0 +1,103 @@
+// Pluggable payment gateways for order-service
+// PAYMENT_PROVIDER picks one: mock (default; for local and offline use) or one added with
+// registerProvider. A provider has
+//   authorize({ amount, currency, orderId, paymentMethod })
+//       -> { reference, status: 'authorized', 'pending' or 'failed', failure_reason }
+//   capture({ reference, amount }), void({ reference }), refund({ reference, amount })
+//       -> { status }, throwing when the gateway refuses
+//   parseWebhook(rawBody, headers)
+//       -> { id, reference, status, failure_reason }, throwing when the signature does not match
+// A pending authorization is settled later by a webhook.
+
+const crypto = require('crypto');
+
+// Mock gateway. paymentMethod picks the outcome: tok_decline fails, tok_pending waits for a
+// webhook, anything else is authorized. Webhooks are JSON events
+//   { "id": "evt_1", "type": "payment.succeeded", "data": { "reference": "mock_..." } }
+// signed in X-Mock-Signature as t=<unix time>,v1=<HMAC-SHA256 of "<t>.<body>" with
+// PAYMENT_WEBHOOK_SECRET>; signMockWebhook builds the header for local testing.
+const MOCK_EVENT_STATUSES = {
+  'payment.succeeded': 'authorized',
+  'payment.failed': 'failed'
+};
+
+// Signatures older than this are refused, so a captured webhook cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// The development default is public, so anyone could sign webhooks with it; production refuses it
+const mockWebhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+    }
+    console.warn('PAYMENT_WEBHOOK_SECRET is not set; using the development default');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET || 'change-this-webhook-secret-in-production';
+};
+
+const signMockWebhook = (body, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const createMockProvider = () => {
+  const secret = mockWebhookSecret();
+
+  return {
+    authorize: async ({ paymentMethod }) => {
+      const reference = `mock_${crypto.randomUUID()}`;
+
+      if (paymentMethod === 'tok_decline') {
+        return { reference, status: 'failed', failure_reason: 'card_declined' };
+      }
+      if (paymentMethod === 'tok_pending') {
+        return { reference, status: 'pending' };
+      }
+      return { reference, status: 'authorized' };
+    },
+    capture: async () => ({ status: 'captured' }),
+    void: async () => ({ status: 'voided' }),
+    refund: async () => ({ status: 'refunded' }),
+    parseWebhook: (rawBody, headers) => {
+      const parts = Object.fromEntries(String(headers['x-mock-signature'] || '')
+        .split(',')
+        .map(part => part.split('=')));
+      const timestamp = parseInt(parts.t);
+      const expected = signMockWebhook(rawBody, secret, timestamp);
+      const received = `t=${parts.t},v1=${parts.v1}`;
+
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS ||
+        expected.length !== received.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      const event = JSON.parse(rawBody);
+
+      return {
+        id: event.id,
+        reference: event.data && event.data.reference,
+        status: MOCK_EVENT_STATUSES[event.type] || null,
+        failure_reason: (event.data && event.data.failure_reason) || null
+      };
+    }
+  };
+};
+
+const providers = {
+  mock: createMockProvider
+};
+
+// Add another gateway; factory returns an object with the methods above
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return { name, ...factory() };
+};
+
+module.exports = { createPaymentProvider, registerProvider, signMockWebhook };
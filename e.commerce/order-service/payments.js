@@ -0,0 +1,362 @@
+// Payments for order-service
+//
+// Orders are placed pending with a payment_due_at. pay() records an attempt in payments and
+// authorizes it with the provider (paymentProviders.js); a successful payment, reported straight
+// away or later by the provider's webhook, confirms the order and, unless captureMode is manual,
+// is captured. Orders still unpaid when they fall due are cancelled, which puts their stock
+// back. Cancelling an order voids or refunds its payments (returnOrderPayments), and a payment
+// that only succeeds after its order was cancelled is voided or refunded as well.
+
+const paymentError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'failed', 'voided', 'refunded', 'partially_refunded'];
+
+// What a provider's authorize may report (paymentProviders.js)
+const AUTHORIZE_STATUSES = ['authorized', 'pending', 'failed'];
+
+// Statuses that count as paid; an order with one is not cancelled for non-payment
+const PAID_STATUSES = ['authorized', 'captured'];
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+const createPayments = (pool, { provider, orderStatus, captureMode = 'automatic', currency = 'USD' }) => {
+  // Provider failures are reported as a bad gateway; what the provider said is logged
+  const callProvider = async (action, args) => {
+    try {
+      return await provider[action](args);
+    } catch (err) {
+      console.error(`Payment provider ${provider.name} failed to ${action}:`, err.message);
+      throw paymentError(`Payment provider could not ${action} the payment`, 502);
+    }
+  };
+
+  // Run fn(client, payment) in a transaction with the payment locked
+  const withPayment = async (paymentId, fn) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+      if (result.rows.length === 0) {
+        throw paymentError('Payment not found', 404);
+      }
+
+      const updated = await fn(client, result.rows[0]);
+
+      await client.query('COMMIT');
+      return updated;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const capture = (paymentId) => withPayment(paymentId, async (client, payment) => {
+    if (payment.status !== 'authorized') {
+      throw paymentError(`Only authorized payments can be captured; this one is ${payment.status}`, 409);
+    }
+
+    await callProvider('capture', { reference: payment.provider_reference, amount: payment.amount });
+
+    const result = await client.query(`
+      UPDATE payments SET status = 'captured', captured_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [paymentId]);
+    return result.rows[0];
+  });
+
+  const voidLocked = async (client, payment) => {
+    if (payment.status !== 'authorized') {
+      throw paymentError(`Only authorized payments can be voided; this one is ${payment.status}`, 409);
+    }
+
+    await callProvider('void', { reference: payment.provider_reference });
+
+    const result = await client.query(
+      "UPDATE payments SET status = 'voided', updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+      [payment.id]
+    );
+    return result.rows[0];
+  };
+
+  // Refund amount (all that is left when not given) of a captured payment
+  const refundLocked = async (client, payment, amount = null) => {
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+      throw paymentError(`Only captured payments can be refunded; this one is ${payment.status}`, 409);
+    }
+
+    const refundable = toCents(payment.amount) - toCents(payment.refunded_amount);
+    const cents = amount === null || amount === undefined ? refundable : toCents(amount);
+
+    if (isNaN(cents) || cents <= 0 || cents > refundable) {
+      throw paymentError(`amount must be above 0 and at most ${(refundable / 100).toFixed(2)}`);
+    }
+
+    await callProvider('refund', { reference: payment.provider_reference, amount: (cents / 100).toFixed(2) });
+
+    const result = await client.query(`
+      UPDATE payments
+      SET refunded_amount = refunded_amount + $1,
+        status = CASE WHEN refunded_amount + $1 >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [(cents / 100).toFixed(2), payment.id]);
+    return result.rows[0];
+  };
+
+  // Give back whatever is still held of a locked payment: void an authorization, refund the rest
+  // of a capture. Other payments are returned unchanged.
+  const returnLocked = (client, payment) => {
+    if (payment.status === 'authorized') {
+      return voidLocked(client, payment);
+    }
+    if (['captured', 'partially_refunded'].includes(payment.status)) {
+      return refundLocked(client, payment);
+    }
+    return payment;
+  };
+
+  const voidPayment = (paymentId) => withPayment(paymentId, voidLocked);
+
+  const refund = (paymentId, amount = null) =>
+    withPayment(paymentId, (client, payment) => refundLocked(client, payment, amount));
+
+  // Return every payment of an order being cancelled in client's transaction; a provider failure
+  // throws, so the order is not cancelled while it still holds the customer's money
+  const returnOrderPayments = async (client, orderId) => {
+    const result = await client.query(`
+      SELECT * FROM payments
+      WHERE order_id = $1 AND status IN ('authorized', 'captured', 'partially_refunded')
+      ORDER BY id
+      FOR UPDATE
+    `, [orderId]);
+
+    const returned = [];
+    for (const payment of result.rows) {
+      returned.push(await returnLocked(client, payment));
+    }
+    return returned;
+  };
+
+  // After a payment succeeds: confirm its order and capture it, or give the money back when the
+  // order was cancelled in the meantime
+  const completePayment = async (payment) => {
+    try {
+      await orderStatus.changeStatus(payment.order_id, { status: 'confirmed', note: `Paid with payment ${payment.id}` });
+    } catch (err) {
+      if (err.status !== 409) {
+        throw err;
+      }
+
+      const orderResult = await pool.query('SELECT status FROM orders WHERE id = $1', [payment.order_id]);
+      if (orderResult.rows[0].status === 'cancelled') {
+        console.log(`Order ${payment.order_id} was cancelled before payment ${payment.id} succeeded; returning it`);
+        // Cancelling may already have returned it
+        return withPayment(payment.id, returnLocked);
+      }
+    }
+
+    if (captureMode === 'automatic' && payment.status === 'authorized') {
+      try {
+        return await capture(payment.id);
+      } catch (err) {
+        // The order stands; staff can capture the authorization later
+        console.error(`Error capturing payment ${payment.id}:`, err.message);
+      }
+    }
+
+    return payment;
+  };
+
+  // Record the outcome of a pending payment; later reports about a settled payment are ignored.
+  // Returns the payment.
+  const settle = async (paymentId, { reference = null, status, failure_reason = null }) => {
+    const result = await pool.query(`
+      UPDATE payments
+      SET status = $1, provider_reference = COALESCE($2, provider_reference), failure_reason = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND status = 'pending'
+      RETURNING *
+    `, [status, reference, failure_reason, paymentId]);
+
+    if (result.rows.length === 0) {
+      return (await pool.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0];
+    }
+
+    const payment = result.rows[0];
+    return PAID_STATUSES.includes(payment.status) ? completePayment(payment) : payment;
+  };
+
+  // Pay for a pending order with a payment method token from the provider's client-side form.
+  // Returns the payment: authorized or captured when it went through, pending while the provider
+  // decides (a webhook settles it) or failed with failure_reason.
+  const pay = async (orderId, { paymentMethod }) => {
+    const client = await pool.connect();
+    let payment;
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query('SELECT id, status, total_amount FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+      if (orderResult.rows.length === 0) {
+        throw paymentError('Order not found', 404);
+      }
+
+      const order = orderResult.rows[0];
+      if (order.status !== 'pending') {
+        throw paymentError(`Only pending orders can be paid; this order is ${order.status}`, 409);
+      }
+
+      const openResult = await client.query(
+        "SELECT 1 FROM payments WHERE order_id = $1 AND status IN ('pending', 'authorized', 'captured')",
+        [orderId]
+      );
+      if (openResult.rows.length > 0) {
+        throw paymentError('This order is already paid or has a payment in progress', 409);
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO payments (order_id, provider, amount, currency, status)
+        VALUES ($1, $2, $3, $4, 'pending')
+        RETURNING *
+      `, [orderId, provider.name, order.total_amount, currency]);
+      payment = inserted.rows[0];
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    let result;
+    try {
+      result = await callProvider('authorize', {
+        amount: payment.amount,
+        currency: payment.currency,
+        orderId,
+        paymentMethod
+      });
+    } catch (err) {
+      await settle(payment.id, { status: 'failed', failure_reason: 'provider_error' });
+      throw err;
+    }
+
+    if (!AUTHORIZE_STATUSES.includes(result.status)) {
+      await settle(payment.id, { reference: result.reference, status: 'failed', failure_reason: 'provider_error' });
+      throw paymentError(`Payment provider returned an unknown status: ${result.status}`, 502);
+    }
+
+    return result.status === 'pending'
+      ? (await pool.query(
+        'UPDATE payments SET provider_reference = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [result.reference, payment.id]
+      )).rows[0]
+      : settle(payment.id, result);
+  };
+
+  // A webhook from the provider. Each event is handled once; returns what was done with it.
+  const handleWebhook = async (rawBody, headers) => {
+    let event;
+    try {
+      event = provider.parseWebhook(rawBody, headers);
+    } catch (err) {
+      throw paymentError('Invalid webhook signature or payload');
+    }
+
+    const seen = await pool.query(
+      'SELECT 1 FROM payment_events WHERE provider = $1 AND event_id = $2',
+      [provider.name, event.id]
+    );
+    if (seen.rows.length > 0) {
+      return { received: true, duplicate: true };
+    }
+
+    if (!event.status) {
+      return { received: true, ignored: true };
+    }
+
+    const paymentResult = await pool.query(
+      'SELECT id FROM payments WHERE provider = $1 AND provider_reference = $2',
+      [provider.name, event.reference]
+    );
+    // Not found yet can mean the webhook beat the authorize response; the provider retries it
+    if (paymentResult.rows.length === 0) {
+      throw paymentError('Unknown payment reference', 404);
+    }
+
+    const payment = await settle(paymentResult.rows[0].id, event);
+
+    await pool.query(`
+      INSERT INTO payment_events (provider, event_id, payment_id, status)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (provider, event_id) DO NOTHING
+    `, [provider.name, event.id, payment.id, event.status]);
+
+    return { received: true, payment_id: payment.id, status: payment.status };
+  };
+
+  // An order's payment attempts, newest first
+  const listPayments = async (orderId) => {
+    const result = await pool.query('SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC, id DESC', [orderId]);
+    return result.rows;
+  };
+
+  // Cancel orders whose payment is overdue; cancelling puts their stock back. Returns how many.
+  // Each order is checked again with it locked, so one paid since it was selected is left alone.
+  const cancelUnpaid = async () => {
+    const dueResult = await pool.query(`
+      SELECT o.id FROM orders o
+      WHERE o.status = 'pending' AND o.payment_due_at < NOW()
+        AND NOT EXISTS (
+          SELECT 1 FROM payments p WHERE p.order_id = o.id AND p.status IN ('authorized', 'captured')
+        )
+      ORDER BY o.payment_due_at
+      LIMIT 100
+    `);
+
+    let cancelled = 0;
+
+    for (const { id } of dueResult.rows) {
+      try {
+        await orderStatus.changeStatus(id, {
+          status: 'cancelled',
+          note: 'Not paid in time',
+          from: 'pending',
+          check: async (client) => {
+            const paidResult = await client.query(
+              'SELECT 1 FROM payments WHERE order_id = $1 AND status = ANY($2)',
+              [id, PAID_STATUSES]
+            );
+            if (paidResult.rows.length > 0) {
+              throw paymentError('Order has been paid', 409);
+            }
+          }
+        });
+        cancelled++;
+      } catch (err) {
+        // Paid or changed by staff since it was selected
+        if (err.status !== 409) {
+          throw err;
+        }
+      }
+    }
+
+    return cancelled;
+  };
+
+  const startSweeper = (intervalSeconds = 60) => setInterval(() => {
+    cancelUnpaid()
+      .then(count => count > 0 && console.log(`Cancelled ${count} unpaid orders`))
+      .catch(err => console.error('Error cancelling unpaid orders:', err));
+  }, intervalSeconds * 1000).unref();
+
+  return { pay, capture, voidPayment, refund, returnOrderPayments, handleWebhook, listPayments, cancelUnpaid, startSweeper };
+};
+
+module.exports = { PAYMENT_STATUSES, createPayments };
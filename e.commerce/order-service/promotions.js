@@ -0,0 +1,447 @@
+// Coupons and automatic promotions for order-service
+//
+// A promotion with a code is a coupon the customer enters; one without applies to every order it
+// qualifies for. The kinds and their rules are described with the promotions table in
+// database/init.sql. evaluate prices an order: the automatic promotions and the coupon are
+// applied in turn (buy X get Y first, then percentages, then fixed amounts), each to what the
+// ones before left of the line totals, and every discount is split over the lines it applies to.
+// Amounts are worked out in cents.
+
+const promotionError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const PROMOTION_KINDS = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+const KIND_ORDER = { buy_x_get_y: 0, percentage: 1, fixed: 2, free_shipping: 3 };
+
+// Fields staff can set on a promotion
+const PROMOTION_FIELDS = [
+  'name', 'code', 'description', 'kind', 'value', 'buy_quantity', 'get_quantity', 'get_discount_percent',
+  'min_subtotal', 'product_ids', 'category_ids', 'usage_limit', 'usage_limit_per_user', 'starts_at', 'ends_at', 'is_active'
+];
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const isValidTime = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+// Cents off each line in scope, given as { unit, quantity, remaining } in cents; a line never
+// gets more off than it has left
+const calculators = {
+  percentage: (promotion, lines) =>
+    lines.map(line => Math.round(line.remaining * parseFloat(promotion.value) / 100)),
+
+  fixed: (promotion, lines) => {
+    const total = lines.reduce((sum, line) => sum + line.remaining, 0);
+    const amount = Math.min(toCents(promotion.value), total);
+    const shares = lines.map(line => (total === 0 ? 0 : Math.floor(line.remaining * amount / total)));
+
+    // Cents lost to rounding go to the first lines with room for them
+    let left = amount - shares.reduce((sum, share) => sum + share, 0);
+    for (let i = 0; left > 0 && i < lines.length; i++) {
+      const extra = Math.min(left, lines[i].remaining - shares[i]);
+      shares[i] += extra;
+      left -= extra;
+    }
+
+    return shares;
+  },
+
+  buy_x_get_y: (promotion, lines) => {
+    const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+    let discounted = Math.floor(units / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+    const shares = lines.map(() => 0);
+
+    // The cheapest units are the ones discounted
+    const cheapestFirst = lines.map((line, index) => index).sort((a, b) => lines[a].unit - lines[b].unit);
+    for (const index of cheapestFirst) {
+      const count = Math.min(discounted, lines[index].quantity);
+      shares[index] = Math.min(
+        Math.round(count * lines[index].unit * parseFloat(promotion.get_discount_percent) / 100),
+        lines[index].remaining
+      );
+      discounted -= count;
+    }
+
+    return shares;
+  },
+
+  free_shipping: (promotion, lines) => lines.map(() => 0)
+};
+
+// Check a promotion as staff sent it; returns the value of every field
+const validatePromotion = (input) => {
+  const promotion = {};
+  const optionalNumber = (field, { integer = false, min = 0, exclusive = false, max = Infinity } = {}) => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (isNaN(number) || (integer && !Number.isInteger(number)) || (exclusive ? number <= min : number < min) || number > max) {
+      throw promotionError(`${field} must be ${integer ? 'a whole number' : 'a number'} ${exclusive ? 'above' : 'of at least'} ${min}` +
+        (max !== Infinity ? ` and at most ${max}` : ''));
+    }
+    return number;
+  };
+  const idList = (field) => {
+    const value = input[field] === undefined || input[field] === null ? [] : input[field];
+    if (!Array.isArray(value) || !value.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+      throw promotionError(`${field} must be an array of IDs`);
+    }
+    return [...new Set(value.map(Number))];
+  };
+
+  if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > 255) {
+    throw promotionError('name is required (at most 255 characters)');
+  }
+  promotion.name = input.name.trim();
+  promotion.description = input.description || null;
+
+  promotion.code = input.code === undefined || input.code === null || input.code === '' ? null : normalizeCode(input.code);
+  if (promotion.code !== null && !/^[A-Z0-9_-]{3,50}$/.test(promotion.code)) {
+    throw promotionError('code must be 3 to 50 letters, digits, hyphens or underscores');
+  }
+
+  if (!PROMOTION_KINDS.includes(input.kind)) {
+    throw promotionError(`kind must be one of ${PROMOTION_KINDS.join(', ')}`);
+  }
+  promotion.kind = input.kind;
+
+  promotion.value = null;
+  promotion.buy_quantity = null;
+  promotion.get_quantity = null;
+  promotion.get_discount_percent = 100;
+
+  if (input.kind === 'percentage' || input.kind === 'fixed') {
+    promotion.value = optionalNumber('value', { min: 0, exclusive: true, max: input.kind === 'percentage' ? 100 : Infinity });
+    if (promotion.value === null) {
+      throw promotionError(`value is required for ${input.kind} promotions`);
+    }
+  } else if (input.kind === 'buy_x_get_y') {
+    promotion.buy_quantity = optionalNumber('buy_quantity', { integer: true, min: 1 });
+    promotion.get_quantity = optionalNumber('get_quantity', { integer: true, min: 1 });
+    if (promotion.buy_quantity === null || promotion.get_quantity === null) {
+      throw promotionError('buy_quantity and get_quantity are required for buy_x_get_y promotions');
+    }
+    promotion.get_discount_percent = optionalNumber('get_discount_percent', { min: 0, exclusive: true, max: 100 }) || 100;
+  }
+
+  promotion.min_subtotal = optionalNumber('min_subtotal');
+  promotion.product_ids = idList('product_ids');
+  promotion.category_ids = idList('category_ids');
+  promotion.usage_limit = optionalNumber('usage_limit', { integer: true, min: 1 });
+  promotion.usage_limit_per_user = optionalNumber('usage_limit_per_user', { integer: true, min: 1 });
+
+  const time = (value) => (value instanceof Date ? value.toISOString() : value);
+  promotion.starts_at = time(input.starts_at) || new Date().toISOString();
+  promotion.ends_at = time(input.ends_at) || null;
+
+  if (!isValidTime(promotion.starts_at)) {
+    throw promotionError('starts_at must be an ISO 8601 date and time');
+  }
+  if (promotion.ends_at !== null && (!isValidTime(promotion.ends_at) || Date.parse(promotion.ends_at) <= Date.parse(promotion.starts_at))) {
+    throw promotionError('ends_at must be an ISO 8601 date and time after starts_at');
+  }
+
+  if (input.is_active !== undefined && input.is_active !== null && typeof input.is_active !== 'boolean') {
+    throw promotionError('is_active must be true or false');
+  }
+  promotion.is_active = input.is_active !== false;
+
+  return promotion;
+};
+
+const createPromotions = (pool) => {
+  // Orders a promotion was used on, in total and by one customer; cancelled orders do not count
+  const getUsage = async (db, promotionIds, userId = null) => {
+    const result = await db.query(`
+      SELECT d.promotion_id,
+        COUNT(DISTINCT d.order_id) as uses,
+        COUNT(DISTINCT d.order_id) FILTER (WHERE o.user_id = $2) as user_uses
+      FROM order_discounts d
+      JOIN orders o ON d.order_id = o.id
+      WHERE d.promotion_id = ANY($1) AND o.status <> 'cancelled'
+      GROUP BY d.promotion_id
+    `, [promotionIds, userId]);
+
+    return new Map(result.rows.map(row => [row.promotion_id, { uses: parseInt(row.uses), user_uses: parseInt(row.user_uses) }]));
+  };
+
+  // For each category, the given products in it or in one of its subcategories
+  const getCategoryProducts = async (db, categoryIds, productIds) => {
+    if (categoryIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await db.query(`
+      WITH RECURSIVE tree AS (
+        SELECT id, id as root_id FROM categories WHERE id = ANY($1)
+        UNION
+        SELECT c.id, t.root_id FROM categories c JOIN tree t ON c.parent_id = t.id
+      )
+      SELECT DISTINCT t.root_id, pc.product_id
+      FROM tree t
+      JOIN product_categories pc ON pc.category_id = t.id
+      WHERE pc.product_id = ANY($2)
+    `, [categoryIds, productIds]);
+
+    const products = new Map();
+    for (const row of result.rows) {
+      products.set(row.root_id, (products.get(row.root_id) || new Set()).add(row.product_id));
+    }
+    return products;
+  };
+
+  // Why a coupon code that is not currently usable cannot be used
+  const rejectCode = async (db, code) => {
+    const result = await db.query(
+      'SELECT is_active, starts_at > NOW() as not_started FROM promotions WHERE code = $1',
+      [code]
+    );
+
+    if (result.rows.length === 0) {
+      throw promotionError(`Coupon ${code} not found`, 404);
+    }
+    throw promotionError(result.rows[0].is_active && result.rows[0].not_started
+      ? `Coupon ${code} is not valid yet`
+      : `Coupon ${code} has expired`);
+  };
+
+  // Price lines of { product_id, variant_id, quantity, unit_price } with the automatic promotions
+  // and the coupon `code`. Returns the lines with line_total, discount_amount and total, the
+  // discounts applied, and the order's subtotal, discount_total, total and free_shipping. A coupon
+  // that cannot be used throws with status 404 or 400 and the reason. userId must be the customer
+  // the request was authenticated as: without one, promotions limited per customer do not apply.
+  // With lock, call inside the order's transaction: promotions with usage limits stay locked until
+  // it ends, so two orders cannot both take the last use.
+  const evaluate = async (db, { userId = null, lines, code = null, lock = false }) => {
+    const couponCode = code === null || code === undefined || code === '' ? null : normalizeCode(code);
+
+    const promotionsResult = await db.query(`
+      SELECT * FROM promotions
+      WHERE is_active = true AND starts_at <= NOW() AND (ends_at IS NULL OR ends_at > NOW())
+        AND (code IS NULL OR code = $1)
+      ORDER BY id
+    `, [couponCode]);
+
+    const candidates = promotionsResult.rows;
+
+    if (couponCode && !candidates.some(promotion => promotion.code === couponCode)) {
+      await rejectCode(db, couponCode);
+    }
+
+    const limited = candidates
+      .filter(promotion => promotion.usage_limit || promotion.usage_limit_per_user)
+      .map(promotion => promotion.id);
+
+    if (lock && limited.length > 0) {
+      await db.query('SELECT id FROM promotions WHERE id = ANY($1) ORDER BY id FOR UPDATE', [limited]);
+    }
+
+    const productIds = [...new Set(lines.map(line => line.product_id))];
+    const usage = await getUsage(db, limited, userId);
+    const categoryProducts = await getCategoryProducts(
+      db,
+      [...new Set(candidates.flatMap(promotion => promotion.category_ids))],
+      productIds
+    );
+
+    const inScope = (promotion, productId) =>
+      (promotion.product_ids.length === 0 && promotion.category_ids.length === 0) ||
+      promotion.product_ids.includes(productId) ||
+      promotion.category_ids.some(categoryId => (categoryProducts.get(categoryId) || new Set()).has(productId));
+
+    const priced = lines.map(line => {
+      const unit = toCents(line.unit_price);
+      return { unit, quantity: line.quantity, remaining: unit * line.quantity };
+    });
+    const subtotal = priced.reduce((sum, line) => sum + line.remaining, 0);
+
+    const discounts = [];
+    let freeShipping = false;
+
+    const ordered = [...candidates].sort((a, b) => KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.id - b.id);
+
+    for (const promotion of ordered) {
+      const isCoupon = promotion.code !== null;
+      // An automatic promotion that does not apply is left out; a coupon says why it does not
+      const skip = (message) => {
+        if (isCoupon) {
+          throw promotionError(`Coupon ${promotion.code} ${message}`);
+        }
+      };
+
+      const used = usage.get(promotion.id) || { uses: 0, user_uses: 0 };
+
+      if (promotion.usage_limit && used.uses >= promotion.usage_limit) {
+        skip('has been used up');
+        continue;
+      }
+      if (promotion.usage_limit_per_user && !userId) {
+        skip('can only be used when logged in');
+        continue;
+      }
+      if (promotion.usage_limit_per_user && used.user_uses >= promotion.usage_limit_per_user) {
+        skip('has already been used on your account');
+        continue;
+      }
+      if (promotion.min_subtotal !== null && subtotal < toCents(promotion.min_subtotal)) {
+        skip(`needs a subtotal of at least ${promotion.min_subtotal}`);
+        continue;
+      }
+
+      const scoped = priced
+        .map((line, index) => ({ line, index }))
+        .filter(({ index }) => inScope(promotion, lines[index].product_id));
+
+      if (scoped.length === 0) {
+        skip('does not apply to any of these items');
+        continue;
+      }
+
+      const shares = calculators[promotion.kind](promotion, scoped.map(({ line }) => line));
+      const amount = shares.reduce((sum, share) => sum + share, 0);
+
+      if (promotion.kind === 'free_shipping') {
+        freeShipping = true;
+      } else if (amount === 0) {
+        skip(promotion.kind === 'buy_x_get_y'
+          ? `needs ${promotion.buy_quantity + promotion.get_quantity} qualifying items`
+          : 'does not take anything off these items');
+        continue;
+      }
+
+      scoped.forEach(({ line }, i) => {
+        line.remaining -= shares[i];
+      });
+
+      discounts.push({
+        promotion_id: promotion.id,
+        name: promotion.name,
+        code: promotion.code,
+        kind: promotion.kind,
+        amount: fromCents(amount)
+      });
+    }
+
+    const total = priced.reduce((sum, line) => sum + line.remaining, 0);
+
+    return {
+      coupon_code: couponCode,
+      lines: lines.map((line, index) => ({
+        ...line,
+        line_total: fromCents(priced[index].unit * priced[index].quantity),
+        discount_amount: fromCents(priced[index].unit * priced[index].quantity - priced[index].remaining),
+        total: fromCents(priced[index].remaining)
+      })),
+      discounts,
+      subtotal: fromCents(subtotal),
+      discount_total: fromCents(subtotal - total),
+      total: fromCents(total),
+      free_shipping: freeShipping
+    };
+  };
+
+  // Record the discounts from evaluate against an order inserted with client
+  const recordDiscounts = async (client, orderId, discounts) => {
+    for (const discount of discounts) {
+      await client.query(`
+        INSERT INTO order_discounts (order_id, promotion_id, name, code, kind, amount)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [orderId, discount.promotion_id, discount.name, discount.code, discount.kind, discount.amount]);
+    }
+  };
+
+  const getOrderDiscounts = async (orderId) => {
+    const result = await pool.query(
+      'SELECT promotion_id, name, code, kind, amount FROM order_discounts WHERE order_id = $1 ORDER BY id',
+      [orderId]
+    );
+    return result.rows;
+  };
+
+  const withUsage = async (promotions) => {
+    const usage = await getUsage(pool, promotions.map(promotion => promotion.id));
+    return promotions.map(promotion => ({ ...promotion, uses: (usage.get(promotion.id) || { uses: 0 }).uses }));
+  };
+
+  // All promotions, newest first, with how many orders used each
+  const listPromotions = async () => {
+    const result = await pool.query('SELECT * FROM promotions ORDER BY created_at DESC, id DESC');
+    return withUsage(result.rows);
+  };
+
+  const getPromotion = async (id) => {
+    const result = await pool.query('SELECT * FROM promotions WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw promotionError('Promotion not found', 404);
+    }
+    return (await withUsage(result.rows))[0];
+  };
+
+  const savePromotion = async (query, params) => {
+    try {
+      const result = await pool.query(query, params);
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === '23505') {
+        throw promotionError('A promotion with that code already exists', 409);
+      }
+      throw err;
+    }
+  };
+
+  const values = (promotion) => PROMOTION_FIELDS.map(field => promotion[field]);
+
+  const createPromotion = async (input, createdBy = null) => {
+    const promotion = validatePromotion(input);
+
+    return savePromotion(`
+      INSERT INTO promotions (${PROMOTION_FIELDS.join(', ')}, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14::timestamptz, $15::timestamptz, $16, $17)
+      RETURNING *
+    `, [...values(promotion), createdBy]);
+  };
+
+  // Change some fields of a promotion; the others keep their values
+  const updatePromotion = async (id, input) => {
+    const current = await getPromotion(id);
+    const changes = Object.fromEntries(PROMOTION_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+    const promotion = validatePromotion({ ...current, ...changes });
+
+    return savePromotion(`
+      UPDATE promotions SET
+        ${PROMOTION_FIELDS.map((field, i) => `${field} = $${i + 1}${field.endsWith('_at') ? '::timestamptz' : ''}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${PROMOTION_FIELDS.length + 1}
+      RETURNING *
+    `, [...values(promotion), id]);
+  };
+
+  // Stop a promotion from applying to new orders; orders that used it keep their discount
+  const deactivatePromotion = async (id) => {
+    const result = await pool.query(
+      'UPDATE promotions SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      throw promotionError('Promotion not found', 404);
+    }
+    return result.rows[0];
+  };
+
+  return {
+    evaluate,
+    recordDiscounts,
+    getOrderDiscounts,
+    listPromotions,
+    getPromotion,
+    createPromotion,
+    updatePromotion,
+    deactivatePromotion
+  };
+};
+
+module.exports = { PROMOTION_KINDS, createPromotions };
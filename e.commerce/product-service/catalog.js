@@ -0,0 +1,337 @@
+// Bulk catalog import and export for product-service
+//
+// Rows are matched to existing products by sku. Each row is created, updated, skipped (nothing
+// changed) or rejected with a reason; a dry run reports the same results without writing.
+// Each row is written in its own transaction, and stock changes go through the inventory ledger.
+
+const { slugify, assignCategoryByName } = require('./categories');
+const { recordPriceChange } = require('./pricing');
+
+// Columns in exports, and the fields an import row may set
+const CATALOG_COLUMNS = ['sku', 'name', 'description', 'price', 'category', 'stock_quantity', 'image_url', 'is_active'];
+
+// Parse RFC 4180 CSV (quoted fields, doubled quotes, line breaks inside quotes) into
+// objects keyed by the header row
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, ''); // Spreadsheet apps often add a byte order mark
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+
+    return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+};
+
+// Rows from an upload; format is 'csv' or 'json' (an array of objects)
+const parseUpload = (body, format) => {
+    if (format === 'csv') {
+        if (typeof body !== 'string') {
+            throw new Error('Send CSV with Content-Type: text/csv');
+        }
+        return parseCsv(body);
+    }
+
+    const rows = typeof body === 'string' ? JSON.parse(body) : body;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw new Error('JSON imports must be an array of product objects');
+    }
+    return rows;
+};
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+// Validate one row; returns { values } with only the fields it sets, or { error }
+const normalizeRow = (row) => {
+    const values = {};
+
+    for (const column of CATALOG_COLUMNS) {
+        const raw = row[column];
+        // Blank cells leave the current value alone
+        if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+            continue;
+        }
+        values[column] = typeof raw === 'string' ? raw.trim() : raw;
+    }
+
+    if (!values.sku) {
+        return { error: 'sku is required' };
+    }
+    values.sku = String(values.sku);
+
+    const maxLengths = { sku: 50, name: 200, category: 100, image_url: 500 };
+    for (const [column, maxLength] of Object.entries(maxLengths)) {
+        if (values[column] !== undefined && String(values[column]).length > maxLength) {
+            return { error: `${column} must be at most ${maxLength} characters` };
+        }
+    }
+
+    if (values.price !== undefined) {
+        const price = Number(values.price);
+        if (isNaN(price) || price < 0) {
+            return { error: 'price must be a non-negative number' };
+        }
+        values.price = price.toFixed(2);
+    }
+
+    if (values.stock_quantity !== undefined) {
+        const stock = Number(values.stock_quantity);
+        if (!Number.isInteger(stock) || stock < 0) {
+            return { error: 'stock_quantity must be a non-negative whole number' };
+        }
+        values.stock_quantity = stock;
+    }
+
+    if (values.is_active !== undefined) {
+        const active = BOOLEAN_VALUES[String(values.is_active).toLowerCase()];
+        if (active === undefined) {
+            return { error: 'is_active must be true or false' };
+        }
+        values.is_active = active;
+    }
+
+    return { values };
+};
+
+// Fields of a normalized row that differ from the stored product
+const changedFields = (values, product) => Object.keys(values).filter(column => {
+    if (column === 'sku') {
+        return false;
+    }
+    if (column === 'price') {
+        return Number(values.price) !== Number(product.price);
+    }
+    // Categories are matched by slug, so a change of case is not a change
+    if (column === 'category') {
+        return slugify(values.category) !== slugify(product.category || '');
+    }
+    return values[column] !== product[column];
+});
+
+const createCatalogImporter = (pool, { ledger, onChange = async () => {}, progressEvery = 100 } = {}) => {
+    // Import one row with db, a client in a transaction. A stock change is returned as `movement`.
+    const importRow = async (db, row, { dryRun, createdBy }) => {
+        const { values, error } = normalizeRow(row);
+        if (error) {
+            return { result: 'error', error };
+        }
+
+        const existingResult = await db.query('SELECT * FROM products WHERE sku = $1 FOR UPDATE', [values.sku]);
+        const existing = existingResult.rows[0];
+
+        if (!existing) {
+            if (!values.name || values.price === undefined) {
+                return { sku: values.sku, result: 'error', error: 'name and price are required for new products' };
+            }
+
+            if (!dryRun) {
+                // Stock starts at zero and is added through the ledger
+                const columns = Object.keys(values).filter(column => column !== 'stock_quantity');
+                const created = await db.query(
+                    `INSERT INTO products (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+                    columns.map(column => values[column])
+                );
+                const productId = created.rows[0].id;
+
+                if (values.category) {
+                    await assignCategoryByName(db, productId, values.category);
+                }
+
+                await recordPriceChange(db, { productId, price: values.price, source: 'import', changedBy: createdBy });
+
+                const movement = values.stock_quantity
+                    ? await ledger.setStock(db, { productId, quantity: values.stock_quantity, reason: 'restock', note: 'Catalog import', createdBy })
+                    : null;
+
+                return { sku: values.sku, result: 'created', product_id: productId, movement };
+            }
+
+            return { sku: values.sku, result: 'created' };
+        }
+
+        const changes = changedFields(values, existing);
+        if (changes.length === 0) {
+            return { sku: values.sku, result: 'skipped', product_id: existing.id, reason: 'No changes' };
+        }
+
+        let movement = null;
+
+        if (!dryRun) {
+            const columns = changes.filter(column => column !== 'stock_quantity');
+
+            if (columns.length > 0) {
+                await db.query(
+                    `UPDATE products SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1}`,
+                    [...columns.map(column => values[column]), existing.id]
+                );
+            }
+
+            if (changes.includes('category')) {
+                await assignCategoryByName(db, existing.id, values.category);
+            }
+
+            if (changes.includes('price')) {
+                await recordPriceChange(db, { productId: existing.id, previousPrice: existing.price, price: values.price, source: 'import', changedBy: createdBy });
+            }
+
+            if (changes.includes('stock_quantity')) {
+                movement = await ledger.setStock(db, { productId: existing.id, quantity: values.stock_quantity, reason: 'adjustment', note: 'Catalog import', createdBy });
+            }
+        }
+
+        return { sku: values.sku, result: 'updated', product_id: existing.id, changed: changes, movement };
+    };
+
+    // Create a job row for an upload of `rows`
+    const createJob = async ({ format, dryRun, totalRows, createdBy }) => {
+        const result = await pool.query(`
+            INSERT INTO catalog_import_jobs (format, dry_run, total_rows, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [format, dryRun, totalRows, createdBy]);
+
+        return result.rows[0];
+    };
+
+    // Import every row, recording progress and per-row results on the job
+    const runJob = async (job, rows) => {
+        const results = [];
+        const movements = [];
+        const summary = { created: 0, updated: 0, skipped: 0, error: 0 };
+        const seenSkus = new Map();
+
+        await pool.query(
+            "UPDATE catalog_import_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [job.id]
+        );
+
+        try {
+            for (const [index, row] of rows.entries()) {
+                // Row 1 is the first product (the row after the CSV header)
+                const rowNumber = index + 1;
+                const sku = row.sku !== undefined && row.sku !== null ? String(row.sku).trim() : '';
+                let outcome;
+
+                if (sku && seenSkus.has(sku)) {
+                    outcome = { sku, result: 'error', error: `Duplicate sku; first seen in row ${seenSkus.get(sku)}` };
+                } else {
+                    if (sku) {
+                        seenSkus.set(sku, rowNumber);
+                    }
+
+                    const client = await pool.connect();
+
+                    try {
+                        await client.query('BEGIN');
+                        const { movement, ...imported } = await importRow(client, row, { dryRun: job.dry_run, createdBy: job.created_by });
+                        await client.query('COMMIT');
+
+                        outcome = imported;
+                        movements.push(movement);
+                    } catch (err) {
+                        await client.query('ROLLBACK');
+                        outcome = { sku, result: 'error', error: err.code === '23505' ? 'Conflicts with an existing product' : err.message };
+                    } finally {
+                        client.release();
+                    }
+                }
+
+                results.push({ row: rowNumber, sku: sku || null, ...outcome });
+                summary[outcome.result]++;
+
+                if (rowNumber % progressEvery === 0) {
+                    await pool.query(
+                        'UPDATE catalog_import_jobs SET processed_rows = $1, summary = $2 WHERE id = $3',
+                        [rowNumber, summary, job.id]
+                    );
+                }
+            }
+
+            if (!job.dry_run && summary.created + summary.updated > 0) {
+                await onChange(results
+                    .filter(result => result.result === 'created' || result.result === 'updated')
+                    .map(result => result.product_id));
+                await ledger.alertLowStock(movements);
+            }
+
+            const finished = await pool.query(`
+                UPDATE catalog_import_jobs
+                SET status = 'completed', processed_rows = $1, summary = $2, results = $3, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING *
+            `, [rows.length, summary, JSON.stringify(results), job.id]);
+
+            return finished.rows[0];
+        } catch (err) {
+            await pool.query(`
+                UPDATE catalog_import_jobs
+                SET status = 'failed', error = $1, summary = $2, results = $3, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+            `, [err.message, summary, JSON.stringify(results), job.id]);
+            throw err;
+        }
+    };
+
+    // Jobs still marked running when the service starts were cut off by a restart
+    const failInterruptedJobs = () => pool.query(`
+        UPDATE catalog_import_jobs
+        SET status = 'failed', error = 'Interrupted by a service restart', finished_at = CURRENT_TIMESTAMP
+        WHERE status IN ('pending', 'running')
+    `);
+
+    return { createJob, runJob, failInterruptedJobs };
+};
+
+module.exports = {
+    CATALOG_COLUMNS,
+    parseCsv,
+    parseUpload,
+    createCatalogImporter
+};
@@ -0,0 +1,142 @@
+// Category tree helpers for product-service
+//
+// Categories nest through parent_id and products link to any number of them through
+// product_categories. products.category is kept as the name of the product's first category,
+// so clients and queries that still read the old free-text column keep working.
+
+// Must match the slug expression used to migrate products.category in database/init.sql
+const slugify = (text) => String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Ids of a category and everything below it
+const descendantIds = async (db, categoryId) => {
+    const result = await db.query(`
+        WITH RECURSIVE tree AS (
+            SELECT id FROM categories WHERE id = $1
+            UNION ALL
+            SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+        )
+        SELECT id FROM tree
+    `, [categoryId]);
+
+    return result.rows.map(row => row.id);
+};
+
+// Categories from the root down to and including this one
+const breadcrumb = async (db, categoryId) => {
+    const result = await db.query(`
+        WITH RECURSIVE ancestors AS (
+            SELECT id, name, slug, parent_id, 0 as depth FROM categories WHERE id = $1
+            UNION ALL
+            SELECT c.id, c.name, c.slug, c.parent_id, a.depth + 1
+            FROM categories c JOIN ancestors a ON c.id = a.parent_id
+        )
+        SELECT id, name, slug FROM ancestors ORDER BY depth DESC
+    `, [categoryId]);
+
+    return result.rows;
+};
+
+// Find a category by id, slug or (case-insensitively) name
+const findCategory = async (db, idOrSlug) => {
+    const value = String(idOrSlug);
+    const result = await db.query(`
+        SELECT * FROM categories
+        WHERE id = $1 OR slug = $2 OR LOWER(name) = LOWER($3)
+        ORDER BY (id = $1) DESC NULLS LAST, (slug = $2) DESC
+        LIMIT 1
+    `, [/^\d+$/.test(value) ? parseInt(value) : null, slugify(value), value]);
+
+    return result.rows[0] || null;
+};
+
+// Top-level category for a free-text name, created if needed. "Electronics" and "electronics"
+// share a slug, so they end up as the same category.
+const findOrCreateCategory = async (db, name) => {
+    const slug = slugify(name);
+    if (!slug) {
+        return null;
+    }
+
+    const result = await db.query(`
+        INSERT INTO categories (name, slug)
+        VALUES ($1, $2)
+        ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+        RETURNING id, name, slug
+    `, [String(name).trim(), slug]);
+
+    return result.rows[0];
+};
+
+// Keep products.category in step with the product's first linked category
+const syncLegacyCategory = (db, productId, categoryName) => db.query(
+    'UPDATE products SET category = $1 WHERE id = $2',
+    [categoryName, productId]
+);
+
+// Replace a product's categories; the first one becomes products.category.
+// Returns the ids that do not exist, in which case nothing is changed.
+const setProductCategories = async (db, productId, categoryIds) => {
+    const ids = [...new Set(categoryIds.map(id => parseInt(id)))];
+    const existing = await db.query('SELECT id, name FROM categories WHERE id = ANY($1)', [ids]);
+    const missing = ids.filter(id => !existing.rows.some(row => row.id === id));
+
+    if (missing.length > 0) {
+        return missing;
+    }
+
+    await db.query('DELETE FROM product_categories WHERE product_id = $1', [productId]);
+
+    for (const id of ids) {
+        await db.query(
+            'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)',
+            [productId, id]
+        );
+    }
+
+    const primary = existing.rows.find(row => row.id === ids[0]);
+    await syncLegacyCategory(db, productId, primary ? primary.name : null);
+
+    return [];
+};
+
+// Link a product to the category for a free-text name (the old `category` field)
+const assignCategoryByName = async (db, productId, name) => {
+    const category = await findOrCreateCategory(db, name);
+    if (!category) {
+        return;
+    }
+
+    await db.query(
+        'INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [productId, category.id]
+    );
+    await syncLegacyCategory(db, productId, category.name);
+};
+
+// Nest a flat, ordered list of categories into a tree. Categories whose parent is not in the
+// list (e.g. under an inactive category) are left out rather than shown at the top level.
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        if (!node.parent_id) {
+            roots.push(node);
+        } else if (nodes.has(node.parent_id)) {
+            nodes.get(node.parent_id).children.push(node);
+        }
+    }
+
+    return roots;
+};
+
+module.exports = {
+    slugify,
+    descendantIds,
+    breadcrumb,
+    findCategory,
+    findOrCreateCategory,
+    setProductCategories,
+    assignCategoryByName,
+    buildTree
+};
@@ -0,0 +1,240 @@
+// Product images for product-service
+//
+// Each upload is checked by decoding it, then stored as uploaded alongside web-optimised WebP
+// versions (see IMAGE_VERSIONS). Files live in the storage driver under
+// products/<product id>/<random id>/, so a key never points at different content and the
+// files can be cached forever. products.image_url follows the first image's web version.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const imageError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Formats accepted for upload, by the format sharp detects (not the name or declared type)
+const IMAGE_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: '.jpg' },
+    png: { contentType: 'image/png', extension: '.png' },
+    webp: { contentType: 'image/webp', extension: '.webp' },
+    gif: { contentType: 'image/gif', extension: '.gif' }
+};
+
+const IMAGE_CONTENT_TYPES = Object.values(IMAGE_FORMATS).map(format => format.contentType);
+
+// Versions generated for every upload; images are never enlarged
+const IMAGE_VERSIONS = {
+    thumbnail: { width: 200, height: 200, fit: 'cover' },
+    medium: { width: 600, height: 600, fit: 'inside' },
+    web: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+// Decode an upload and build its versions; throws when it is not an accepted image
+const processImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        throw imageError('File is not a readable image');
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+        throw imageError(`Unsupported image format: ${metadata.format}. Use JPEG, PNG, WebP or GIF`);
+    }
+
+    const versions = {};
+    for (const [name, size] of Object.entries(IMAGE_VERSIONS)) {
+        // rotate() applies the EXIF orientation before the metadata is stripped
+        versions[name] = await sharp(buffer)
+            .rotate()
+            .resize({ ...size, withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer();
+    }
+
+    const { width, height } = metadata.autoOrient || metadata;
+
+    return { format, width, height, versions };
+};
+
+const createProductImages = (pool, storage, { baseUrl = '/api/images' } = {}) => {
+    const originalKey = (image) => {
+        const format = Object.values(IMAGE_FORMATS).find(candidate => candidate.contentType === image.content_type);
+        return `${image.storage_key}/original${format ? format.extension : ''}`;
+    };
+
+    const fileKeys = (image) => [originalKey(image), ...Object.keys(IMAGE_VERSIONS).map(name => `${image.storage_key}/${name}.webp`)];
+
+    // How an image appears in API responses
+    const serialize = (image) => ({
+        id: image.id,
+        product_id: image.product_id,
+        alt_text: image.alt_text,
+        position: image.position,
+        width: image.width,
+        height: image.height,
+        size_bytes: image.size_bytes,
+        urls: {
+            original: `${baseUrl}/${originalKey(image)}`,
+            ...Object.fromEntries(Object.keys(IMAGE_VERSIONS).map(name => [name, `${baseUrl}/${image.storage_key}/${name}.webp`]))
+        },
+        created_at: image.created_at
+    });
+
+    // Images of several products, in display order
+    const listImages = async (productIds) => {
+        const result = await pool.query(
+            'SELECT * FROM product_images WHERE product_id = ANY($1) ORDER BY position, id',
+            [productIds]
+        );
+        return result.rows.map(serialize);
+    };
+
+    // Point products.image_url at the first image, for clients that only read that column
+    const syncPrimaryImage = async (productId) => {
+        const [first] = await listImages([productId]);
+
+        if (first) {
+            await pool.query('UPDATE products SET image_url = $1 WHERE id = $2', [first.urls.web, productId]);
+        } else {
+            // Only clear URLs that pointed at an uploaded image
+            await pool.query(
+                'UPDATE products SET image_url = NULL WHERE id = $1 AND image_url LIKE $2',
+                [productId, `${baseUrl}/%`]
+            );
+        }
+    };
+
+    // Store uploads ({ buffer, originalname }) after the product's existing images.
+    // altTexts[i] goes with files[i]. Nothing is saved unless every file is a valid image.
+    const addImages = async (productId, files, altTexts = []) => {
+        const processed = [];
+        for (const [index, file] of files.entries()) {
+            try {
+                processed.push({ file, image: await processImage(file.buffer), altText: altTexts[index] || null });
+            } catch (err) {
+                throw err.status ? imageError(`${file.originalname}: ${err.message}`, err.status) : err;
+            }
+        }
+
+        const storedKeys = [];
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the product so concurrent uploads get distinct positions
+            const productResult = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+            if (productResult.rows.length === 0) {
+                throw imageError('Product not found', 404);
+            }
+
+            const positionResult = await client.query(
+                'SELECT COALESCE(MAX(position), -1) as last FROM product_images WHERE product_id = $1',
+                [productId]
+            );
+            let position = positionResult.rows[0].last;
+
+            const created = [];
+            for (const { file, image, altText } of processed) {
+                const storageKey = `products/${productId}/${crypto.randomUUID()}`;
+
+                const original = `${storageKey}/original${image.format.extension}`;
+                storedKeys.push(original);
+                await storage.put(original, file.buffer, image.format.contentType);
+
+                for (const [name, body] of Object.entries(image.versions)) {
+                    const key = `${storageKey}/${name}.webp`;
+                    storedKeys.push(key);
+                    await storage.put(key, body, 'image/webp');
+                }
+
+                position++;
+                const result = await client.query(`
+                    INSERT INTO product_images (product_id, storage_key, original_filename, content_type, width, height, size_bytes, alt_text, position)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING *
+                `, [productId, storageKey, file.originalname, image.format.contentType, image.width, image.height, file.buffer.length, altText, position]);
+
+                created.push(serialize(result.rows[0]));
+            }
+
+            await client.query('COMMIT');
+            await syncPrimaryImage(productId);
+
+            return created;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+            throw err;
+        } finally {
+            client.release();
+        }
+    };
+
+    const updateImage = async (productId, imageId, { alt_text }) => {
+        const result = await pool.query(
+            'UPDATE product_images SET alt_text = $1 WHERE id = $2 AND product_id = $3 RETURNING *',
+            [alt_text, imageId, productId]
+        );
+
+        if (result.rows.length === 0) {
+            throw imageError('Image not found', 404);
+        }
+
+        return serialize(result.rows[0]);
+    };
+
+    // Put a product's images in the order of imageIds, which must list each of them once
+    const reorderImages = async (productId, imageIds) => {
+        const ids = Array.isArray(imageIds) ? imageIds.map(id => parseInt(id)) : [];
+        const current = await pool.query('SELECT id FROM product_images WHERE product_id = $1', [productId]);
+        const currentIds = current.rows.map(row => row.id);
+
+        if (ids.length !== currentIds.length || new Set(ids).size !== ids.length || !ids.every(id => currentIds.includes(id))) {
+            throw imageError('image_ids must list each of the product\'s images exactly once');
+        }
+
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            for (const [position, id] of ids.entries()) {
+                await client.query('UPDATE product_images SET position = $1 WHERE id = $2', [position, id]);
+            }
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        await syncPrimaryImage(productId);
+
+        return listImages([productId]);
+    };
+
+    const removeImage = async (productId, imageId) => {
+        const result = await pool.query(
+            'DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *',
+            [imageId, productId]
+        );
+
+        if (result.rows.length === 0) {
+            throw imageError('Image not found', 404);
+        }
+
+        await syncPrimaryImage(productId);
+
+        // The row is gone, so a file that fails to delete is only wasted space
+        await Promise.all(fileKeys(result.rows[0]).map(key => storage.remove(key).catch(error => {
+            console.error(`Error removing image file ${key}:`, error.message);
+        })));
+    };
+
+    return { listImages, addImages, updateImage, reorderImages, removeImage };
+};
+
+module.exports = { IMAGE_CONTENT_TYPES, createProductImages };
@@ -1,6 +1,19 @@
 const express = require('express');
 const { Pool } = require('pg');
 const redis = require('redis');
+const crypto = require('crypto');
+const multer = require('multer');
+const { createTokenVerifier } = require('../shared/auth');
+const { createApiKeyVerifier } = require('../shared/apiKeys');
+const { PRODUCT_LIST_TAG, CATEGORY_TAG, STOCK_TAG, productTag, createCache } = require('../shared/cache');
+const { createStockLedger } = require('../shared/stockLedger');
+const { csvRow } = require('../shared/csv');
+const { CATALOG_COLUMNS, parseUpload, createCatalogImporter } = require('./catalog');
+const { createStorage } = require('./storage');
+const { IMAGE_CONTENT_TYPES, createProductImages } = require('./images');
+const { REVIEW_STATUSES, REVIEW_SORTS, createReviews } = require('./reviews');
+const { SCHEDULE_STATES, recordPriceChange, createPricing } = require('./pricing');
+const { slugify, descendantIds, breadcrumb, findCategory, findOrCreateCategory, setProductCategories, buildTree } = require('./categories');
 const app = express();
 const port = 3000;
 
@@ -17,8 +30,98 @@ const redisClient = redis.createClient({
 redisClient.on('error', (err) => console.log('Redis Client Error', err));
 redisClient.connect();
 
+// Access tokens from login-service are verified locally against its JWKS; API keys against the database
+const auth = createTokenVerifier({ redisClient, apiKeys: createApiKeyVerifier({ pool }) });
+
+// Reads are cached per product and per query, tagged with what they were built from (see
+// shared/cache.js); writes invalidate just those tags. order-service invalidates products whose
+// stock it changes.
+const cache = createCache(redisClient, { staleSeconds: parseInt(process.env.CACHE_STALE_SECONDS) || 60 });
+const CACHE_SECONDS = parseInt(process.env.CACHE_SECONDS) || 300;
+const SEARCH_CACHE_SECONDS = 60;
+
+const reviewsTag = (productId) => `reviews:${productId}`;
+
+// Tags for a cached list of products: each product in it, plus the list tag for changes that
+// could add or remove products
+const productListTags = (products, ...tags) => [PRODUCT_LIST_TAG, CATEGORY_TAG, ...tags, ...products.map(product => productTag(product.id))];
+
+const cacheKeyFor = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+
+// Drop cached entries after a write: those built from the given products, every product list
+// when `lists` (the change can add, remove or reorder products in one), and everything showing
+// categories when `categories`
+const invalidateProducts = (productIds, { lists = false, categories = false } = {}) => cache.invalidate(
+    ...productIds.map(productTag),
+    ...(lists ? [PRODUCT_LIST_TAG] : []),
+    ...(categories ? [CATEGORY_TAG] : [])
+);
+
+// Catalog imports can be large, so they get their own body parsers and size limit
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '20mb';
+// Uploads with more rows than this run as a background job to be polled
+const IMPORT_SYNC_MAX_ROWS = parseInt(process.env.IMPORT_SYNC_MAX_ROWS) || 200;
+
+// Image uploads are held in memory while they are checked and resized, so keep them bounded
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_MAX_FILES = parseInt(process.env.IMAGE_MAX_FILES) || 10;
+
+// IMAGE_BASE_URL can point image URLs at a CDN or public bucket instead of this service
+const storage = createStorage();
+const productImages = createProductImages(pool, storage, { baseUrl: process.env.IMAGE_BASE_URL || '/api/images' });
+
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_MAX_BYTES, files: IMAGE_MAX_FILES },
+    fileFilter: (req, file, callback) => {
+        if (!IMAGE_CONTENT_TYPES.includes(file.mimetype)) {
+            return callback(Object.assign(new Error(`${file.originalname}: only JPEG, PNG, WebP and GIF images are accepted`), { status: 400 }));
+        }
+        callback(null, true);
+    }
+}).array('images', IMAGE_MAX_FILES);
+
+// Run the multipart parser, answering upload errors (too big, too many, wrong type) with a 4xx
+const uploadImages = (req, res, next) => imageUpload(req, res, (error) => {
+    if (!error) {
+        return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Each image must be at most ${Math.round(IMAGE_MAX_BYTES / 1024 / 1024 * 10) / 10} MB` });
+    }
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.code === 'LIMIT_UNEXPECTED_FILE' ? `Send up to ${IMAGE_MAX_FILES} files in the images field` : error.message });
+    }
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+});
+
+// Set REVIEWS_REQUIRE_PURCHASE=true to only accept reviews from customers who bought the product
+const reviews = createReviews(pool, { requireVerifiedPurchase: process.env.REVIEWS_REQUIRE_PURCHASE === 'true' });
+
+// Scheduled price changes are written to products every PRICE_SCHEDULER_SECONDS; the run also
+// drops cached prices of products whose sales started or ended
+const pricing = createPricing(pool, {
+    onChange: (productIds) => invalidateProducts(productIds, { lists: true })
+});
+pricing.startScheduler(parseInt(process.env.PRICE_SCHEDULER_SECONDS) || 60);
+
+// Stock set through products, variants and imports is recorded in the inventory ledger; low-stock
+// alerts go through STOCK_ALERT_NOTIFIER
+const ledger = createStockLedger(pool);
+
+const catalogImporter = createCatalogImporter(pool, {
+    ledger,
+    onChange: (productIds) => invalidateProducts(productIds, { lists: true, categories: true })
+});
+catalogImporter.failInterruptedJobs().catch(error => console.error('Error cleaning up import jobs:', error.message));
+
 // Middleware
-app.use(express.json());
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/products/import' ? next() : jsonParser(req, res, next)));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -42,20 +145,10 @@ app.get('/health', async (req, res) => {
 // Get all products
 app.get('/api/products', async (req, res) => {
     try {
-        // Try to get from cache first
-        const cacheKey = 'products:all';
-        const cached = await redisClient.get(cacheKey);
-        
-        if (cached) {
-            return res.json(JSON.parse(cached));
-        }
-
-        // Get from database
-        const result = await pool.query('SELECT * FROM products WHERE is_active = true ORDER BY created_at DESC');
-        const products = result.rows;
-
-        // Cache for 5 minutes
-        await redisClient.setEx(cacheKey, 300, JSON.stringify(products));
+        const products = await cache.wrap('products:all', { ttlSeconds: CACHE_SECONDS, tags: productListTags }, async () => {
+            const result = await pool.query('SELECT * FROM products WHERE is_active = true ORDER BY created_at DESC');
+            return attachVariants(result.rows);
+        });
 
         res.json(products);
     } catch (error) {
@@ -64,6 +157,422 @@ app.get('/api/products', async (req, res) => {
     }
 });
 
+// Nest option types, active variants, categories and images under each product. A variant's price
+// overrides the product price when set. effective_price is what a product or variant sells for
+// right now, after scheduled changes and sales, with compare_at_price the "was" price to show
+// next to it (null when there is none) and sale_ends_at when a sale price ends. available_quantity
+// is stock on hand minus what checkout reservations in order-service hold; for a product with
+// variants it is the total over its variants.
+const attachVariants = async (products) => {
+    if (products.length === 0) {
+        return products;
+    }
+
+    const productIds = products.map(product => product.id);
+
+    const optionsResult = await pool.query(
+        'SELECT id, product_id, name, option_values, position FROM product_options WHERE product_id = ANY($1) ORDER BY position, id',
+        [productIds]
+    );
+
+    const variantsResult = await pool.query(
+        'SELECT * FROM product_variants WHERE product_id = ANY($1) AND is_active = true ORDER BY id',
+        [productIds]
+    );
+
+    const reservedResult = await pool.query(`
+        SELECT product_id, variant_id, SUM(quantity)::int as reserved
+        FROM active_reservation_items
+        WHERE product_id = ANY($1)
+        GROUP BY product_id, variant_id
+    `, [productIds]);
+
+    const categoriesResult = await pool.query(`
+        SELECT pc.product_id, c.id, c.name, c.slug
+        FROM product_categories pc
+        JOIN categories c ON pc.category_id = c.id
+        WHERE pc.product_id = ANY($1)
+        ORDER BY c.position, c.id
+    `, [productIds]);
+
+    const images = await productImages.listImages(productIds);
+    const prices = await pricing.getPrices(productIds);
+
+    const reserved = (productId, variantId) => {
+        const row = reservedResult.rows.find(candidate => candidate.product_id === productId && candidate.variant_id === variantId);
+        return row ? row.reserved : 0;
+    };
+
+    return products.map(product => {
+        const variants = variantsResult.rows
+            .filter(variant => variant.product_id === product.id)
+            .map(variant => ({
+                ...variant,
+                effective_price: prices.get(`${product.id}:${variant.id}`).price,
+                compare_at_price: prices.get(`${product.id}:${variant.id}`).compare_at_price,
+                sale_ends_at: prices.get(`${product.id}:${variant.id}`).sale_ends_at,
+                available_quantity: Math.max(variant.stock_quantity - reserved(product.id, variant.id), 0)
+            }));
+
+        return {
+            ...product,
+            effective_price: prices.get(String(product.id)).price,
+            compare_at_price: prices.get(String(product.id)).compare_at_price,
+            sale_ends_at: prices.get(String(product.id)).sale_ends_at,
+            available_quantity: variants.length > 0
+                ? variants.reduce((total, variant) => total + variant.available_quantity, 0)
+                : Math.max(product.stock_quantity - reserved(product.id, null), 0),
+            options: optionsResult.rows
+                .filter(option => option.product_id === product.id)
+                .map(option => ({ id: option.id, name: option.name, values: option.option_values, position: option.position })),
+            variants,
+            categories: categoriesResult.rows
+                .filter(category => category.product_id === product.id)
+                .map(({ product_id, ...category }) => category),
+            images: images.filter(image => image.product_id === product.id)
+        };
+    });
+};
+
+// Check a variant's options (e.g. { "Size": "M", "Colour": "Red" }) against the product's
+// option types; returns an error message, or null when they fit
+const validateVariantOptions = (options, productOptions) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return 'options must be an object of option name to value';
+    }
+
+    for (const option of productOptions) {
+        if (options[option.name] === undefined) {
+            return `Missing value for option ${option.name}`;
+        }
+        if (!option.option_values.includes(options[option.name])) {
+            return `Invalid value for option ${option.name}: ${options[option.name]}`;
+        }
+    }
+
+    const unknown = Object.keys(options).filter(name => !productOptions.some(option => option.name === name));
+    if (unknown.length > 0) {
+        return `Unknown options: ${unknown.join(', ')}`;
+    }
+
+    return null;
+};
+
+// Upper bounds of the price facet buckets; the last bucket has no upper bound
+const PRICE_BUCKETS = [25, 50, 100, 250, 500, 1000];
+
+// Must match the expression of idx_products_search in database/init.sql, or the index is not used
+const SEARCH_VECTOR = `(
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(sku, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+)`;
+
+// Products with what they sell for right now (cp.price), so sales count in price filters,
+// sorting and facets
+const SEARCH_FROM = 'products JOIN current_prices cp ON cp.product_id = products.id AND cp.variant_id IS NULL';
+
+const SEARCH_SORTS = {
+    relevance: 'rank DESC, created_at DESC',
+    newest: 'created_at DESC',
+    price_asc: 'current_price ASC',
+    price_desc: 'current_price DESC',
+    name: 'name ASC'
+};
+
+// Parse and validate search query parameters; returns { error } when one is invalid
+const parseSearchQuery = (query) => {
+    const filters = {
+        q: String(query.q || '').trim(),
+        categories: query.category ? String(query.category).split(',').map(category => category.trim()).filter(Boolean) : [],
+        minPrice: query.min_price !== undefined ? Number(query.min_price) : null,
+        maxPrice: query.max_price !== undefined ? Number(query.max_price) : null,
+        inStock: query.in_stock === 'true',
+        sort: query.sort || (query.q ? 'relevance' : 'newest'),
+        page: Math.max(parseInt(query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+    };
+
+    if ([filters.minPrice, filters.maxPrice].some(price => price !== null && (isNaN(price) || price < 0))) {
+        return { error: 'min_price and max_price must be non-negative numbers' };
+    }
+
+    if (!Object.hasOwn(SEARCH_SORTS, filters.sort)) {
+        return { error: `sort must be one of ${Object.keys(SEARCH_SORTS).join(', ')}` };
+    }
+
+    if (filters.sort === 'relevance' && !filters.q) {
+        return { error: 'sort=relevance needs a search query (q)' };
+    }
+
+    return { filters };
+};
+
+// WHERE clause and relevance rank for a search. Facets leave out their own filter
+// (skipCategory / skipPrice) so each facet shows what selecting another value would give.
+const buildSearchConditions = (filters, { skipCategory = false, skipPrice = false } = {}) => {
+    const params = [];
+    const conditions = ['is_active = true'];
+    let rank = '0';
+
+    if (filters.q) {
+        params.push(filters.q);
+        const tsQuery = `websearch_to_tsquery('english', $${params.length})`;
+        // An exact product or variant SKU always matches, and ranks first
+        const skuMatch = `(LOWER(sku) = LOWER($${params.length}) OR EXISTS (
+            SELECT 1 FROM product_variants v
+            WHERE v.product_id = products.id AND v.is_active = true AND LOWER(v.sku) = LOWER($${params.length})
+        ))`;
+        conditions.push(`(${SEARCH_VECTOR} @@ ${tsQuery} OR ${skuMatch})`);
+        rank = `ts_rank(${SEARCH_VECTOR}, ${tsQuery}) + (${skuMatch})::int`;
+    }
+
+    // Products with variants are in stock when any variant is
+    if (filters.inStock) {
+        conditions.push(`(stock_quantity > 0 OR EXISTS (
+            SELECT 1 FROM product_variants v
+            WHERE v.product_id = products.id AND v.is_active = true AND v.stock_quantity > 0
+        ))`);
+    }
+
+    // Matched by slug, and a category includes everything below it
+    if (!skipCategory && filters.categories.length > 0) {
+        params.push(filters.categories.map(slugify));
+        conditions.push(`id IN (
+            WITH RECURSIVE tree AS (
+                SELECT id FROM categories WHERE slug = ANY($${params.length})
+                UNION ALL
+                SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+            )
+            SELECT product_id FROM product_categories WHERE category_id IN (SELECT id FROM tree)
+        )`);
+    }
+
+    if (!skipPrice && filters.minPrice !== null) {
+        params.push(filters.minPrice);
+        conditions.push(`cp.price >= $${params.length}`);
+    }
+
+    if (!skipPrice && filters.maxPrice !== null) {
+        params.push(filters.maxPrice);
+        conditions.push(`cp.price <= $${params.length}`);
+    }
+
+    return { where: `WHERE ${conditions.join(' AND ')}`, params, rank };
+};
+
+const searchProducts = async (filters) => {
+    const { where, params, rank } = buildSearchConditions(filters);
+    const offset = (filters.page - 1) * filters.limit;
+
+    const productsResult = await pool.query(`
+        SELECT *, COUNT(*) OVER() as total_count
+        FROM (SELECT products.*, cp.price as current_price, ${rank} as rank FROM ${SEARCH_FROM} ${where}) matches
+        ORDER BY ${SEARCH_SORTS[filters.sort]}, id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, filters.limit, offset]);
+
+    // total_count is missing when the page is past the end, so count separately then
+    const total = productsResult.rows.length > 0
+        ? parseInt(productsResult.rows[0].total_count)
+        : parseInt((await pool.query(`SELECT COUNT(*) as total FROM ${SEARCH_FROM} ${where}`, params)).rows[0].total);
+
+    // Counted the way the category filter matches: by tree slug, with a product counting towards
+    // its categories and every category above them
+    const categoryFilter = buildSearchConditions(filters, { skipCategory: true });
+    const categoryResult = await pool.query(`
+        WITH RECURSIVE lineage AS (
+            SELECT pc.product_id, c.id, c.parent_id
+            FROM product_categories pc
+            JOIN categories c ON c.id = pc.category_id
+            WHERE pc.product_id IN (SELECT products.id FROM ${SEARCH_FROM} ${categoryFilter.where})
+            UNION
+            SELECT l.product_id, c.id, c.parent_id
+            FROM lineage l
+            JOIN categories c ON c.id = l.parent_id
+        )
+        SELECT c.slug, c.name, COUNT(DISTINCT l.product_id) as count
+        FROM lineage l
+        JOIN categories c ON c.id = l.id
+        GROUP BY c.id, c.slug, c.name
+        ORDER BY count DESC, c.name
+    `, categoryFilter.params);
+
+    const priceFilter = buildSearchConditions(filters, { skipPrice: true });
+    const priceResult = await pool.query(`
+        SELECT width_bucket(cp.price, $${priceFilter.params.length + 1}::numeric[]) as bucket, COUNT(*) as count
+        FROM ${SEARCH_FROM}
+        ${priceFilter.where}
+        GROUP BY bucket
+    `, [...priceFilter.params, PRICE_BUCKETS]);
+
+    const bucketCounts = new Map(priceResult.rows.map(row => [row.bucket, parseInt(row.count)]));
+
+    return {
+        products: await attachVariants(productsResult.rows.map(({ rank, total_count, current_price, ...product }) => product)),
+        pagination: {
+            page: filters.page,
+            limit: filters.limit,
+            total,
+            total_pages: Math.ceil(total / filters.limit)
+        },
+        facets: {
+            categories: categoryResult.rows.map(row => ({ category: row.slug, name: row.name, count: parseInt(row.count) })),
+            price_buckets: [0, ...PRICE_BUCKETS].map((min, bucket) => ({
+                min,
+                max: PRICE_BUCKETS[bucket] || null,
+                count: bucketCounts.get(bucket) || 0
+            }))
+        }
+    };
+};
+
+// Search products: ?q= (name, description, SKU), ?category= (comma-separated), ?min_price=,
+// ?max_price=, ?in_stock=true, ?sort= (relevance, newest, price_asc, price_desc, name), ?page=, ?limit=
+app.get('/api/products/search', async (req, res) => {
+    try {
+        const { filters, error } = parseSearchQuery(req.query);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // In-stock searches (and their facet counts) can change with any product's stock
+        const results = await cache.wrap(`products:search:${cacheKeyFor(filters)}`, {
+            ttlSeconds: SEARCH_CACHE_SECONDS,
+            tags: (results) => productListTags(results.products, ...(filters.inStock ? [STOCK_TAG] : []))
+        }, () => searchProducts(filters));
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error searching products:', error);
+        res.status(500).json({ error: 'Failed to search products' });
+    }
+});
+
+// Import products from CSV (Content-Type: text/csv) or a JSON array, matched by sku.
+// ?dry_run=true validates and reports what would happen without writing. Small uploads
+// return the results directly; larger ones return 202 with a job to poll.
+app.post('/api/products/import',
+    auth.authenticate,
+    auth.requirePermission('products:write'),
+    express.json({ limit: IMPORT_MAX_SIZE }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_SIZE }),
+    async (req, res) => {
+        try {
+            const format = req.is('application/json') ? 'json' : 'csv';
+            const dryRun = req.query.dry_run === 'true';
+
+            let rows;
+            try {
+                rows = parseUpload(req.body, format);
+            } catch (error) {
+                return res.status(400).json({ error: `Could not read ${format.toUpperCase()} upload: ${error.message}` });
+            }
+
+            if (rows.length === 0) {
+                return res.status(400).json({ error: 'The upload has no product rows' });
+            }
+
+            const job = await catalogImporter.createJob({
+                format,
+                dryRun,
+                totalRows: rows.length,
+                createdBy: req.user.user_id || null
+            });
+
+            if (rows.length <= IMPORT_SYNC_MAX_ROWS) {
+                return res.json(await catalogImporter.runJob(job, rows));
+            }
+
+            catalogImporter.runJob(job, rows).catch(error => console.error(`Error in catalog import job ${job.id}:`, error));
+
+            res.status(202).json({
+                ...job,
+                status_url: `/api/products/import/${job.id}`
+            });
+        } catch (error) {
+            console.error('Error importing products:', error);
+            res.status(500).json({ error: 'Failed to import products' });
+        }
+    }
+);
+
+// Progress and per-row results of an import job (?results=false leaves the results out)
+app.get('/api/products/import/:jobId', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const jobId = parseInt(req.params.jobId);
+
+        if (isNaN(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        const result = await pool.query('SELECT * FROM catalog_import_jobs WHERE id = $1', [jobId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+
+        const { results, ...job } = result.rows[0];
+
+        res.json(req.query.results === 'false' ? job : { ...job, results });
+    } catch (error) {
+        console.error('Error fetching import job:', error);
+        res.status(500).json({ error: 'Failed to fetch import job' });
+    }
+});
+
+// Export the catalog as CSV (default) or JSON (?format=json), in the columns the import
+// accepts. Inactive products are left out unless ?include_inactive=true.
+app.get('/api/products/export', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const includeInactive = req.query.include_inactive === 'true';
+        const batchSize = 500;
+
+        res.attachment(`products-${new Date().toISOString().slice(0, 10)}.${format}`);
+        res.type(format);
+        res.write(format === 'csv' ? csvRow(CATALOG_COLUMNS) : '[');
+
+        // Streamed in batches by id so the whole catalog is never held in memory
+        let lastId = 0;
+        let first = true;
+
+        while (true) {
+            const result = await pool.query(`
+                SELECT id, ${CATALOG_COLUMNS.join(', ')}
+                FROM products
+                WHERE id > $1 AND ($2 OR is_active = true)
+                ORDER BY id
+                LIMIT $3
+            `, [lastId, includeInactive, batchSize]);
+
+            for (const product of result.rows) {
+                if (format === 'csv') {
+                    res.write(csvRow(CATALOG_COLUMNS.map(column => product[column])));
+                } else {
+                    const row = Object.fromEntries(CATALOG_COLUMNS.map(column => [column, product[column]]));
+                    res.write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+                    first = false;
+                }
+            }
+
+            if (result.rows.length < batchSize) {
+                break;
+            }
+            lastId = result.rows[result.rows.length - 1].id;
+        }
+
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: 'Failed to export products' });
+    }
+});
+
 // Get product by ID
 app.get('/api/products/:id', async (req, res) => {
     try {
@@ -73,86 +582,268 @@ app.get('/api/products/:id', async (req, res) => {
             return res.status(400).json({ error: 'Invalid product ID' });
         }
 
-        const result = await pool.query('SELECT * FROM products WHERE id = $1 AND is_active = true', [productId]);
-        
-        if (result.rows.length === 0) {
+        const product = await cache.wrap(`products:${productId}`, {
+            ttlSeconds: CACHE_SECONDS,
+            tags: [productTag(productId), reviewsTag(productId), CATEGORY_TAG]
+        }, async () => {
+            const result = await pool.query('SELECT * FROM products WHERE id = $1 AND is_active = true', [productId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const [found] = await attachVariants(result.rows);
+            return { ...found, rating: (await reviews.getSummaries([productId])).get(productId) };
+        });
+
+        if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
 
-        res.json(result.rows[0]);
+        res.json(product);
     } catch (error) {
         console.error('Error fetching product:', error);
         res.status(500).json({ error: 'Failed to fetch product' });
     }
 });
 
-// Get products by category
+// Get products by category. :category may be a category id, slug or name (matched without
+// regard to case, as the old free-text column was), and includes products in subcategories.
 app.get('/api/products/category/:category', async (req, res) => {
     try {
-        const category = req.params.category;
-        const result = await pool.query('SELECT * FROM products WHERE category = $1 AND is_active = true ORDER BY created_at DESC', [category]);
-        res.json(result.rows);
+        const products = await cache.wrap(`products:category:${req.params.category.toLowerCase()}`, {
+            ttlSeconds: CACHE_SECONDS,
+            tags: productListTags
+        }, async () => {
+            const category = await findCategory(pool, req.params.category);
+
+            if (!category) {
+                return [];
+            }
+
+            const result = await pool.query(`
+                SELECT * FROM products
+                WHERE is_active = true
+                  AND id IN (SELECT product_id FROM product_categories WHERE category_id = ANY($1))
+                ORDER BY created_at DESC
+            `, [await descendantIds(pool, category.id)]);
+            return attachVariants(result.rows);
+        });
+
+        res.json(products);
     } catch (error) {
         console.error('Error fetching products by category:', error);
         res.status(500).json({ error: 'Failed to fetch products by category' });
     }
 });
 
+// Link a product to categories from a request body: category_ids replaces its categories, and
+// the older category (a name) puts it in that category, creating it if needed. Call inside a
+// transaction; returns an error message, or null.
+const applyProductCategories = async (client, productId, { category_ids, category }) => {
+    if (category_ids !== undefined) {
+        if (!Array.isArray(category_ids) || category_ids.some(id => isNaN(parseInt(id)))) {
+            return 'category_ids must be an array of category IDs';
+        }
+
+        const missing = await setProductCategories(client, productId, category_ids);
+        return missing.length > 0 ? `Categories not found: ${missing.join(', ')}` : null;
+    }
+
+    if (category) {
+        const found = await findOrCreateCategory(client, category);
+        if (found) {
+            await setProductCategories(client, productId, [found.id]);
+        }
+    }
+
+    return null;
+};
+
+// Set stock_quantity from a product or variant request body through the inventory ledger. Call
+// inside a transaction; returns the movement, or null when it was not sent or did not change.
+const applyStockQuantity = async (client, { productId, variantId = null }, stockQuantity, { reason, note, createdBy }) => {
+    if (stockQuantity === undefined || stockQuantity === null) {
+        return null;
+    }
+
+    const quantity = Number(stockQuantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+        throw Object.assign(new Error('stock_quantity must be a non-negative whole number'), { status: 400 });
+    }
+
+    return ledger.setStock(client, { productId, variantId, quantity, reason, note, createdBy });
+};
+
 // Create new product
-app.post('/api/products', async (req, res) => {
+app.post('/api/products', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
     try {
-        const { name, description, price, category, stock_quantity, sku, image_url } = req.body;
+        const { name, description, price, category, stock_quantity, sku, image_url, compare_at_price, reorder_threshold, weight } = req.body;
         
         if (!name || !price) {
             return res.status(400).json({ error: 'Name and price are required' });
         }
 
-        const result = await pool.query(
-            'INSERT INTO products (name, description, price, category, stock_quantity, sku, image_url) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-            [name, description, price, category, stock_quantity || 0, sku, image_url]
+        await client.query('BEGIN');
+
+        // Stock starts at zero and is added through the ledger
+        const result = await client.query(
+            'INSERT INTO products (name, description, price, category, stock_quantity, sku, image_url, compare_at_price, reorder_threshold, weight) VALUES ($1, $2, $3, $4, 0, $5, $6, $7, $8, $9) RETURNING *',
+            [name, description, price, category, sku, image_url, compare_at_price, reorder_threshold, weight]
         );
 
+        await applyStockQuantity(client, { productId: result.rows[0].id }, stock_quantity, {
+            reason: 'restock',
+            note: 'Initial stock',
+            createdBy: req.user.user_id || null
+        });
+
+        await recordPriceChange(client, {
+            productId: result.rows[0].id,
+            price: result.rows[0].price,
+            source: 'manual',
+            changedBy: req.user.user_id || null
+        });
+
+        const categoryError = await applyProductCategories(client, result.rows[0].id, req.body);
+        if (categoryError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: categoryError });
+        }
+
+        await client.query('COMMIT');
+
         // Clear cache
-        await redisClient.del('products:all');
+        await invalidateProducts([result.rows[0].id], { lists: true, categories: true });
 
-        res.status(201).json(result.rows[0]);
+        const [product] = await attachVariants((await pool.query('SELECT * FROM products WHERE id = $1', [result.rows[0].id])).rows);
+
+        res.status(201).json(product);
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Error creating product:', error);
         if (error.code === '23505') { // Unique constraint violation
             res.status(400).json({ error: 'Product SKU already exists' });
         } else {
             res.status(500).json({ error: 'Failed to create product' });
         }
+    } finally {
+        client.release();
     }
 });
 
 // Update product
-app.put('/api/products/:id', async (req, res) => {
+app.put('/api/products/:id', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
     try {
         const productId = parseInt(req.params.id);
-        const { name, description, price, category, stock_quantity, sku, image_url, is_active } = req.body;
+        const { name, description, price, category, stock_quantity, sku, image_url, is_active, compare_at_price, reorder_threshold, weight } = req.body;
 
-        const result = await pool.query(
-            'UPDATE products SET name = COALESCE($1, name), description = COALESCE($2, description), price = COALESCE($3, price), category = COALESCE($4, category), stock_quantity = COALESCE($5, stock_quantity), sku = COALESCE($6, sku), image_url = COALESCE($7, image_url), is_active = COALESCE($8, is_active), updated_at = CURRENT_TIMESTAMP WHERE id = $9 RETURNING *',
-            [name, description, price, category, stock_quantity, sku, image_url, is_active, productId]
+        await client.query('BEGIN');
+
+        // Joining the row to itself returns the price from before the update, for the price history.
+        // Send "compare_at_price", "reorder_threshold" or "weight" as null to remove it.
+        const result = await client.query(
+            'UPDATE products p SET name = COALESCE($1, p.name), description = COALESCE($2, p.description), price = COALESCE($3, p.price), category = COALESCE($4, p.category), sku = COALESCE($5, p.sku), image_url = COALESCE($6, p.image_url), is_active = COALESCE($7, p.is_active), compare_at_price = CASE WHEN $8::boolean THEN $9 ELSE p.compare_at_price END, reorder_threshold = CASE WHEN $10::boolean THEN $11 ELSE p.reorder_threshold END, weight = CASE WHEN $12::boolean THEN $13 ELSE p.weight END, updated_at = CURRENT_TIMESTAMP FROM products old WHERE p.id = $14 AND old.id = p.id RETURNING p.price, old.price as previous_price',
+            [name, description, price, category, sku, image_url, is_active, compare_at_price !== undefined, compare_at_price, reorder_threshold !== undefined, reorder_threshold, weight !== undefined, weight, productId]
         );
 
         if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        await recordPriceChange(client, {
+            productId,
+            previousPrice: result.rows[0].previous_price,
+            price: result.rows[0].price,
+            source: 'manual',
+            changedBy: req.user.user_id || null
+        });
+
+        const movement = await applyStockQuantity(client, { productId }, stock_quantity, {
+            reason: 'adjustment',
+            note: 'Set in product update',
+            createdBy: req.user.user_id || null
+        });
+
+        const categoryError = await applyProductCategories(client, productId, req.body);
+        if (categoryError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: categoryError });
+        }
+
+        await client.query('COMMIT');
+
         // Clear cache
-        await redisClient.del('products:all');
+        await invalidateProducts([productId], { lists: true, categories: true });
+        await ledger.alertLowStock([movement]);
 
-        res.json(result.rows[0]);
+        const [product] = await attachVariants((await pool.query('SELECT * FROM products WHERE id = $1', [productId])).rows);
+
+        res.json(product);
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Error updating product:', error);
         res.status(500).json({ error: 'Failed to update product' });
+    } finally {
+        client.release();
+    }
+});
+
+// Replace a product's categories: { "category_ids": [3, 7] }. The first one is the product's
+// main category (products.category).
+app.put('/api/products/:id/categories', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const productId = parseInt(req.params.id);
+
+        if (req.body.category_ids === undefined) {
+            return res.status(400).json({ error: 'category_ids is required' });
+        }
+
+        const productResult = await client.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        await client.query('BEGIN');
+
+        const categoryError = await applyProductCategories(client, productId, { category_ids: req.body.category_ids });
+        if (categoryError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: categoryError });
+        }
+
+        await client.query('COMMIT');
+
+        // Clear cache
+        await invalidateProducts([productId], { lists: true, categories: true });
+
+        const [product] = await attachVariants((await pool.query('SELECT * FROM products WHERE id = $1', [productId])).rows);
+
+        res.json(product);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating product categories:', error);
+        res.status(500).json({ error: 'Failed to update product categories' });
+    } finally {
+        client.release();
     }
 });
 
 // Delete product (soft delete)
-app.delete('/api/products/:id', async (req, res) => {
+app.delete('/api/products/:id', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
     try {
         const productId = parseInt(req.params.id);
         
@@ -166,7 +857,7 @@ app.delete('/api/products/:id', async (req, res) => {
         }
 
         // Clear cache
-        await redisClient.del('products:all');
+        await invalidateProducts([productId], { lists: true, categories: true });
 
         res.json({ message: 'Product deleted successfully' });
     } catch (error) {
@@ -175,16 +866,984 @@ app.delete('/api/products/:id', async (req, res) => {
     }
 });
 
+// Replace a product's option types, e.g. [{ "name": "Size", "values": ["S", "M", "L"] }].
+// Existing variants must still fit the new options.
+app.put('/api/products/:id/options', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const productId = parseInt(req.params.id);
+        const { options } = req.body;
+
+        const validOptions = Array.isArray(options) && options.every(option =>
+            option && typeof option.name === 'string' && option.name.trim() &&
+            Array.isArray(option.values) && option.values.length > 0 &&
+            option.values.every(value => typeof value === 'string' && value.trim())
+        );
+
+        if (!validOptions) {
+            return res.status(400).json({ error: 'options must be an array of { name, values } with at least one value each' });
+        }
+
+        const names = options.map(option => option.name.trim());
+        if (new Set(names).size !== names.length) {
+            return res.status(400).json({ error: 'Option names must be unique' });
+        }
+
+        const productResult = await client.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const newOptions = options.map(option => ({
+            name: option.name.trim(),
+            option_values: [...new Set(option.values.map(value => value.trim()))]
+        }));
+
+        const variantsResult = await client.query(
+            'SELECT id, options FROM product_variants WHERE product_id = $1 AND is_active = true',
+            [productId]
+        );
+
+        for (const variant of variantsResult.rows) {
+            const error = validateVariantOptions(variant.options, newOptions);
+            if (error) {
+                return res.status(400).json({ error: `Variant ${variant.id} does not fit the new options: ${error}` });
+            }
+        }
+
+        await client.query('BEGIN');
+        await client.query('DELETE FROM product_options WHERE product_id = $1', [productId]);
+
+        for (const [position, option] of newOptions.entries()) {
+            await client.query(
+                'INSERT INTO product_options (product_id, name, option_values, position) VALUES ($1, $2, $3, $4)',
+                [productId, option.name, option.option_values, position]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        // Clear cache
+        await invalidateProducts([productId]);
+
+        const [product] = await attachVariants((await pool.query('SELECT * FROM products WHERE id = $1', [productId])).rows);
+
+        res.json(product);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating product options:', error);
+        res.status(500).json({ error: 'Failed to update product options' });
+    } finally {
+        client.release();
+    }
+});
+
+// Add a variant to a product
+app.post('/api/products/:id/variants', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const productId = parseInt(req.params.id);
+        const { sku, options, price, stock_quantity, image_url, reorder_threshold, weight } = req.body;
+
+        if (!sku) {
+            return res.status(400).json({ error: 'SKU is required' });
+        }
+
+        const productResult = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (productResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const optionsResult = await pool.query(
+            'SELECT name, option_values FROM product_options WHERE product_id = $1',
+            [productId]
+        );
+
+        const optionsError = validateVariantOptions(options || {}, optionsResult.rows);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        await client.query('BEGIN');
+
+        // Stock starts at zero and is added through the ledger
+        const result = await client.query(
+            'INSERT INTO product_variants (product_id, sku, options, price, stock_quantity, image_url, reorder_threshold, weight) VALUES ($1, $2, $3, $4, 0, $5, $6, $7) RETURNING id',
+            [productId, sku, options || {}, price, image_url, reorder_threshold, weight]
+        );
+        const variantId = result.rows[0].id;
+
+        await applyStockQuantity(client, { productId, variantId }, stock_quantity, {
+            reason: 'restock',
+            note: 'Initial stock',
+            createdBy: req.user.user_id || null
+        });
+
+        const variantResult = await client.query('SELECT * FROM product_variants WHERE id = $1', [variantId]);
+
+        await recordPriceChange(client, {
+            productId,
+            variantId,
+            price: variantResult.rows[0].price,
+            source: 'manual',
+            changedBy: req.user.user_id || null
+        });
+
+        await client.query('COMMIT');
+
+        // Clear cache
+        await invalidateProducts([productId], { lists: true });
+
+        res.status(201).json(variantResult.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error creating variant:', error);
+        if (error.code === '23505') { // Unique constraint violation
+            res.status(400).json({ error: 'Variant SKU or option combination already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to create variant' });
+        }
+    } finally {
+        client.release();
+    }
+});
+
+// Update a variant; send "price" or "weight" as null to go back to the product's
+app.put('/api/products/:id/variants/:variantId', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const productId = parseInt(req.params.id);
+        const variantId = parseInt(req.params.variantId);
+        const { sku, options, price, stock_quantity, image_url, is_active, reorder_threshold, weight } = req.body;
+
+        if (options !== undefined) {
+            const optionsResult = await pool.query(
+                'SELECT name, option_values FROM product_options WHERE product_id = $1',
+                [productId]
+            );
+
+            const optionsError = validateVariantOptions(options, optionsResult.rows);
+            if (optionsError) {
+                return res.status(400).json({ error: optionsError });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            'UPDATE product_variants v SET sku = COALESCE($1, v.sku), options = COALESCE($2, v.options), price = CASE WHEN $3::boolean THEN $4 ELSE v.price END, image_url = COALESCE($5, v.image_url), is_active = COALESCE($6, v.is_active), reorder_threshold = CASE WHEN $7::boolean THEN $8 ELSE v.reorder_threshold END, weight = CASE WHEN $9::boolean THEN $10 ELSE v.weight END, updated_at = CURRENT_TIMESTAMP FROM product_variants old WHERE v.id = $11 AND v.product_id = $12 AND old.id = v.id RETURNING v.price, old.price as previous_price',
+            [sku, options, price !== undefined, price, image_url, is_active, reorder_threshold !== undefined, reorder_threshold, weight !== undefined, weight, variantId, productId]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+
+        await recordPriceChange(client, {
+            productId,
+            variantId,
+            previousPrice: result.rows[0].previous_price,
+            price: result.rows[0].price,
+            source: 'manual',
+            changedBy: req.user.user_id || null
+        });
+
+        const movement = await applyStockQuantity(client, { productId, variantId }, stock_quantity, {
+            reason: 'adjustment',
+            note: 'Set in variant update',
+            createdBy: req.user.user_id || null
+        });
+
+        const variantResult = await client.query('SELECT * FROM product_variants WHERE id = $1', [variantId]);
+
+        await client.query('COMMIT');
+
+        // Clear cache
+        await invalidateProducts([productId], { lists: true });
+        await ledger.alertLowStock([movement]);
+
+        res.json(variantResult.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error updating variant:', error);
+        if (error.code === '23505') { // Unique constraint violation
+            res.status(400).json({ error: 'Variant SKU or option combination already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to update variant' });
+        }
+    } finally {
+        client.release();
+    }
+});
+
+// Delete a variant (soft delete)
+app.delete('/api/products/:id/variants/:variantId', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'UPDATE product_variants SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND product_id = $2 RETURNING *',
+            [parseInt(req.params.variantId), parseInt(req.params.id)]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+
+        // Clear cache
+        await invalidateProducts([parseInt(req.params.id)], { lists: true });
+
+        res.json({ message: 'Variant deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting variant:', error);
+        res.status(500).json({ error: 'Failed to delete variant' });
+    }
+});
+
+// List a product's scheduled price changes and sales, newest first. ?state=upcoming, active
+// (sales running now) or past narrows the list.
+app.get('/api/products/:id/price-schedules', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+        const state = req.query.state || null;
+
+        if (isNaN(productId)) {
+            return res.status(400).json({ error: 'Invalid product ID' });
+        }
+        if (state && !Object.hasOwn(SCHEDULE_STATES, state)) {
+            return res.status(400).json({ error: `state must be one of ${Object.keys(SCHEDULE_STATES).join(', ')}` });
+        }
+
+        res.json(await pricing.listSchedules(productId, state));
+    } catch (error) {
+        console.error('Error fetching price schedules:', error);
+        res.status(500).json({ error: 'Failed to fetch price schedules' });
+    }
+});
+
+// Schedule a price change or a sale for a product, or one of its variants with variant_id:
+// { "kind": "change", "price": 24.99, "starts_at": "2025-03-01T00:00:00Z" } or
+// { "kind": "sale", "price": 19.99, "starts_at": "...", "ends_at": "..." }
+app.post('/api/products/:id/price-schedules', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+
+        if (isNaN(productId)) {
+            return res.status(400).json({ error: 'Invalid product ID' });
+        }
+
+        const schedule = await pricing.createSchedule(productId, req.body, req.user.user_id || null);
+
+        res.status(201).json(schedule);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error creating price schedule:', error);
+        res.status(500).json({ error: 'Failed to create price schedule' });
+    }
+});
+
+// Cancel a price change that has not been applied yet, or a sale that has not ended (ending it now)
+app.delete('/api/products/:id/price-schedules/:scheduleId', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const schedule = await pricing.cancelSchedule(parseInt(req.params.id), parseInt(req.params.scheduleId));
+
+        res.json(schedule);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error cancelling price schedule:', error);
+        res.status(500).json({ error: 'Failed to cancel price schedule' });
+    }
+});
+
+// Past changes to a product's and its variants' prices, newest first
+app.get('/api/products/:id/price-history', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        if (isNaN(productId)) {
+            return res.status(400).json({ error: 'Invalid product ID' });
+        }
+
+        res.json(await pricing.listHistory(productId, { page, limit }));
+    } catch (error) {
+        console.error('Error fetching price history:', error);
+        res.status(500).json({ error: 'Failed to fetch price history' });
+    }
+});
+
+// Upload images: multipart/form-data with one or more files in "images" and, optionally, an
+// "alt_text" field per file in the same order. They go after the product's existing images.
+app.post('/api/products/:id/images', auth.authenticate, auth.requirePermission('products:write'), uploadImages, async (req, res) => {
+    try {
+        const files = req.files || [];
+
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'Send at least one file in the images field' });
+        }
+
+        const altTexts = [].concat((req.body && req.body.alt_text) || []);
+        if (altTexts.some(altText => altText.length > 300)) {
+            return res.status(400).json({ error: 'alt_text must be at most 300 characters' });
+        }
+
+        const images = await productImages.addImages(parseInt(req.params.id), files, altTexts);
+
+        // Clear cache
+        await invalidateProducts([parseInt(req.params.id)]);
+
+        res.status(201).json(images);
+    } catch (error) {
+        console.error('Error uploading product images:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to upload product images' });
+    }
+});
+
+// A product's images in display order
+app.get('/api/products/:id/images', async (req, res) => {
+    try {
+        res.json(await productImages.listImages([parseInt(req.params.id)]));
+    } catch (error) {
+        console.error('Error fetching product images:', error);
+        res.status(500).json({ error: 'Failed to fetch product images' });
+    }
+});
+
+// Reorder a product's images: { "image_ids": [5, 3, 4] }. The first is the main image.
+app.put('/api/products/:id/images/order', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const images = await productImages.reorderImages(parseInt(req.params.id), req.body.image_ids);
+
+        // Clear cache
+        await invalidateProducts([parseInt(req.params.id)]);
+
+        res.json(images);
+    } catch (error) {
+        console.error('Error reordering product images:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to reorder product images' });
+    }
+});
+
+// Update an image's alt text
+app.put('/api/products/:id/images/:imageId', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const { alt_text } = req.body;
+
+        if (alt_text !== null && (typeof alt_text !== 'string' || alt_text.length > 300)) {
+            return res.status(400).json({ error: 'alt_text must be a string of at most 300 characters, or null' });
+        }
+
+        const image = await productImages.updateImage(parseInt(req.params.id), parseInt(req.params.imageId), { alt_text });
+
+        // Clear cache
+        await invalidateProducts([parseInt(req.params.id)]);
+
+        res.json(image);
+    } catch (error) {
+        console.error('Error updating product image:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update product image' });
+    }
+});
+
+// Delete an image and its files
+app.delete('/api/products/:id/images/:imageId', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        await productImages.removeImage(parseInt(req.params.id), parseInt(req.params.imageId));
+
+        // Clear cache
+        await invalidateProducts([parseInt(req.params.id)]);
+
+        res.json({ message: 'Image deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting product image:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete product image' });
+    }
+});
+
+// Serve stored image files. A key is never reused for different content, so browsers and
+// CDNs may cache them for a year.
+app.get('/api/images/*key', async (req, res) => {
+    try {
+        const key = req.params.key.join('/');
+        const file = await storage.get(key);
+
+        if (!file) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'Last-Modified': new Date(file.lastModified).toUTCString()
+        });
+
+        if (req.fresh) {
+            file.stream.destroy();
+            return res.status(304).end();
+        }
+
+        if (file.size !== undefined) {
+            res.set('Content-Length', String(file.size));
+        }
+
+        file.stream.on('error', (error) => {
+            console.error('Error streaming image:', error);
+            res.destroy();
+        });
+        file.stream.pipe(res);
+    } catch (error) {
+        if (error.message.startsWith('Invalid storage key')) {
+            return res.status(400).json({ error: 'Invalid image path' });
+        }
+        console.error('Error serving image:', error);
+        res.status(500).json({ error: 'Failed to serve image' });
+    }
+});
+
+// Reviews are written by customers, so API keys (which have no user) cannot post or vote
+const requireUserAccount = (req, res, next) => {
+    if (!req.user.user_id) {
+        return res.status(403).json({ error: 'This action needs a user account' });
+    }
+    next();
+};
+
+// Parse ?rating=, ?sort=, ?page= and ?limit= for a review list; returns { error } when one is invalid
+const parseReviewQuery = (query) => {
+    const options = {
+        rating: query.rating !== undefined ? Number(query.rating) : null,
+        sort: query.sort || 'newest',
+        page: Math.max(parseInt(query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+    };
+
+    if (options.rating !== null && (!Number.isInteger(options.rating) || options.rating < 1 || options.rating > 5)) {
+        return { error: 'rating must be a whole number from 1 to 5' };
+    }
+
+    if (!Object.hasOwn(REVIEW_SORTS, options.sort)) {
+        return { error: `sort must be one of ${Object.keys(REVIEW_SORTS).join(', ')}` };
+    }
+
+    return { options };
+};
+
+// Approved reviews of a product with its rating summary. ?rating=, ?sort= (newest, oldest,
+// highest, lowest, helpful), ?page=, ?limit=
+app.get('/api/products/:id/reviews', async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+        const { options, error } = parseReviewQuery(req.query);
+
+        if (isNaN(productId)) {
+            return res.status(400).json({ error: 'Invalid product ID' });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const results = await cache.wrap(`reviews:${productId}:${cacheKeyFor(options)}`, {
+            ttlSeconds: CACHE_SECONDS,
+            tags: [reviewsTag(productId)]
+        }, async () => ({
+            rating: (await reviews.getSummaries([productId])).get(productId),
+            ...(await reviews.listReviews({ ...options, productId, status: 'approved' }))
+        }));
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// Review a product: { "rating": 1-5, "title": "...", "body": "..." }. One review per customer
+// per product; it is shown once a moderator approves it.
+app.post('/api/products/:id/reviews', auth.authenticate, requireUserAccount, async (req, res) => {
+    try {
+        const { rating, title, body } = req.body;
+
+        const review = await reviews.createReview({
+            productId: parseInt(req.params.id),
+            userId: req.user.user_id,
+            rating,
+            title,
+            body
+        });
+
+        res.status(201).json(review);
+    } catch (error) {
+        console.error('Error creating review:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create review' });
+    }
+});
+
+// Moderation queue: reviews of any product by ?status= (default pending), oldest first.
+// ?product_id=, ?rating=, ?sort=, ?page=, ?limit=
+app.get('/api/reviews', auth.authenticate, auth.requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const { options, error } = parseReviewQuery({ sort: 'oldest', ...req.query });
+
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const productId = req.query.product_id !== undefined ? parseInt(req.query.product_id) : null;
+
+        res.json(await reviews.listReviews({ ...options, status, productId: isNaN(productId) ? null : productId }));
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// Edit your own review; it goes back into the moderation queue
+app.put('/api/reviews/:id', auth.authenticate, requireUserAccount, async (req, res) => {
+    try {
+        const { rating, title, body } = req.body;
+
+        const review = await reviews.updateReview(parseInt(req.params.id), req.user.user_id, { rating, title, body });
+
+        // An edited review is pending again, so it drops out of the product's reviews and rating
+        await cache.invalidate(reviewsTag(review.product_id));
+
+        res.json(review);
+    } catch (error) {
+        console.error('Error updating review:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update review' });
+    }
+});
+
+// Delete a review; authors can delete their own, moderators any
+app.delete('/api/reviews/:id', auth.authenticate, async (req, res) => {
+    try {
+        const reviewId = parseInt(req.params.id);
+        const review = await reviews.getReview(reviewId);
+        const isModerator = (req.user.permissions || []).includes('reviews:moderate');
+
+        if (!review || (!isModerator && review.user_id !== req.user.user_id)) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        await reviews.deleteReview(reviewId);
+        await cache.invalidate(reviewsTag(review.product_id));
+
+        res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        res.status(500).json({ error: 'Failed to delete review' });
+    }
+});
+
+// Approve or reject a review: { "status": "approved" | "rejected" | "pending", "note": "..." }
+app.patch('/api/reviews/:id/status', auth.authenticate, auth.requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        const review = await reviews.moderateReview(parseInt(req.params.id), {
+            status,
+            note,
+            moderatorId: req.user.user_id || null
+        });
+
+        await cache.invalidate(reviewsTag(review.product_id));
+
+        res.json(review);
+    } catch (error) {
+        console.error('Error moderating review:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to moderate review' });
+    }
+});
+
+// Mark a review as helpful (once per customer)
+app.post('/api/reviews/:id/helpful', auth.authenticate, requireUserAccount, async (req, res) => {
+    try {
+        const vote = await reviews.voteHelpful(parseInt(req.params.id), req.user.user_id);
+        await cache.invalidate(reviewsTag(vote.product_id));
+
+        res.json({ helpful_count: vote.helpful_count });
+    } catch (error) {
+        console.error('Error voting on review:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to vote on review' });
+    }
+});
+
+// Take back a helpful vote
+app.delete('/api/reviews/:id/helpful', auth.authenticate, requireUserAccount, async (req, res) => {
+    try {
+        const vote = await reviews.removeVote(parseInt(req.params.id), req.user.user_id);
+        await cache.invalidate(reviewsTag(vote.product_id));
+
+        res.json({ helpful_count: vote.helpful_count });
+    } catch (error) {
+        console.error('Error removing review vote:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to remove review vote' });
+    }
+});
+
+// Category tree with product counts (each count includes subcategories); ?flat=true gives a
+// flat list with the parent_id of each category instead
+app.get('/api/categories', async (req, res) => {
+    try {
+        const flat = await cache.wrap('categories:tree', { ttlSeconds: CACHE_SECONDS, tags: [CATEGORY_TAG, PRODUCT_LIST_TAG] }, async () => {
+            const result = await pool.query(`
+                WITH RECURSIVE tree AS (
+                    SELECT id as ancestor_id, id FROM categories
+                    UNION ALL
+                    SELECT t.ancestor_id, c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+                )
+                SELECT
+                    c.id, c.name, c.slug, c.parent_id, c.position, c.description,
+                    (
+                        SELECT COUNT(DISTINCT p.id)
+                        FROM tree t
+                        JOIN product_categories pc ON pc.category_id = t.id
+                        JOIN products p ON pc.product_id = p.id AND p.is_active = true
+                        WHERE t.ancestor_id = c.id
+                    )::int as product_count
+                FROM categories c
+                WHERE c.is_active = true
+                ORDER BY c.position, c.name
+            `);
+            return result.rows;
+        });
+
+        res.json(req.query.flat === 'true' ? flat : buildTree(flat));
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
+// Get a category by id or slug, with its breadcrumb (root first) and direct children
+app.get('/api/categories/:category', async (req, res) => {
+    try {
+        const category = await cache.wrap(`categories:${req.params.category.toLowerCase()}`, {
+            ttlSeconds: CACHE_SECONDS,
+            tags: [CATEGORY_TAG]
+        }, async () => {
+            const found = await findCategory(pool, req.params.category);
+
+            if (!found) {
+                return null;
+            }
+
+            const childrenResult = await pool.query(
+                'SELECT id, name, slug, position FROM categories WHERE parent_id = $1 AND is_active = true ORDER BY position, name',
+                [found.id]
+            );
+
+            return {
+                ...found,
+                breadcrumb: await breadcrumb(pool, found.id),
+                children: childrenResult.rows
+            };
+        });
+
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        res.json(category);
+    } catch (error) {
+        console.error('Error fetching category:', error);
+        res.status(500).json({ error: 'Failed to fetch category' });
+    }
+});
+
+// Browse a category: its products and those of every subcategory, newest first. ?page=, ?limit=
+app.get('/api/categories/:category/products', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const results = await cache.wrap(`categories:${req.params.category.toLowerCase()}:products:${page}:${limit}`, {
+            ttlSeconds: CACHE_SECONDS,
+            tags: (results) => productListTags(results.products)
+        }, async () => {
+            const category = await findCategory(pool, req.params.category);
+
+            if (!category) {
+                return null;
+            }
+
+            const result = await pool.query(`
+                SELECT *, COUNT(*) OVER() as total_count
+                FROM products
+                WHERE is_active = true
+                  AND id IN (SELECT product_id FROM product_categories WHERE category_id = ANY($1))
+                ORDER BY created_at DESC, id
+                LIMIT $2 OFFSET $3
+            `, [await descendantIds(pool, category.id), limit, (page - 1) * limit]);
+
+            const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+            return {
+                category: { id: category.id, name: category.name, slug: category.slug },
+                breadcrumb: await breadcrumb(pool, category.id),
+                products: await attachVariants(result.rows.map(({ total_count, ...product }) => product)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    total_pages: Math.ceil(total / limit)
+                }
+            };
+        });
+
+        if (!results) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error fetching category products:', error);
+        res.status(500).json({ error: 'Failed to fetch category products' });
+    }
+});
+
+// Check a parent_id from a request; returns an error message, or null when it can be used.
+// A category cannot move under itself or one of its own subcategories.
+const checkCategoryParent = async (parentId, categoryId = null) => {
+    if (parentId === null) {
+        return null;
+    }
+
+    if (isNaN(parseInt(parentId))) {
+        return 'parent_id must be a category ID or null';
+    }
+
+    const parentResult = await pool.query('SELECT id FROM categories WHERE id = $1', [parseInt(parentId)]);
+    if (parentResult.rows.length === 0) {
+        return 'Parent category not found';
+    }
+
+    if (categoryId !== null && (await descendantIds(pool, categoryId)).includes(parseInt(parentId))) {
+        return 'A category cannot be moved under itself or one of its subcategories';
+    }
+
+    return null;
+};
+
+// Create a category; slug defaults to one made from the name
+app.post('/api/categories', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    try {
+        const { name, slug, parent_id = null, position, description } = req.body;
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const categorySlug = slugify(slug || name);
+        if (!categorySlug) {
+            return res.status(400).json({ error: 'Slug must contain letters or numbers' });
+        }
+
+        const parentError = await checkCategoryParent(parent_id);
+        if (parentError) {
+            return res.status(400).json({ error: parentError });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO categories (name, slug, parent_id, position, description) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [String(name).trim(), categorySlug, parent_id, position || 0, description]
+        );
+
+        // Clear cache
+        await invalidateProducts([], { lists: true, categories: true });
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Error creating category:', error);
+        if (error.code === '23505') { // Unique constraint violation
+            res.status(400).json({ error: 'Category slug already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to create category' });
+        }
+    }
+});
+
+// Update a category; send "parent_id": null to make it top-level
+app.put('/api/categories/:id', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const categoryId = parseInt(req.params.id);
+        const { name, slug, parent_id, position, description, is_active } = req.body;
+
+        const existingResult = await client.query('SELECT * FROM categories WHERE id = $1', [categoryId]);
+        if (existingResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ error: 'Name cannot be empty' });
+        }
+
+        const categorySlug = slug !== undefined ? slugify(slug) : null;
+        if (categorySlug === '') {
+            return res.status(400).json({ error: 'Slug must contain letters or numbers' });
+        }
+
+        if (parent_id !== undefined) {
+            const parentError = await checkCategoryParent(parent_id, categoryId);
+            if (parentError) {
+                return res.status(400).json({ error: parentError });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            'UPDATE categories SET name = COALESCE($1, name), slug = COALESCE($2, slug), parent_id = CASE WHEN $3::boolean THEN $4 ELSE parent_id END, position = COALESCE($5, position), description = COALESCE($6, description), is_active = COALESCE($7, is_active), updated_at = CURRENT_TIMESTAMP WHERE id = $8 RETURNING *',
+            [name !== undefined ? String(name).trim() : null, categorySlug, parent_id !== undefined, parent_id, position, description, is_active, categoryId]
+        );
+
+        // Products whose main category this is keep showing its current name
+        const previousName = existingResult.rows[0].name;
+        if (result.rows[0].name !== previousName) {
+            await client.query(
+                'UPDATE products SET category = $1 WHERE category = $2 AND id IN (SELECT product_id FROM product_categories WHERE category_id = $3)',
+                [result.rows[0].name, previousName, categoryId]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        // Clear cache
+        await invalidateProducts([], { lists: true, categories: true });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating category:', error);
+        if (error.code === '23505') { // Unique constraint violation
+            res.status(400).json({ error: 'Category slug already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to update category' });
+        }
+    } finally {
+        client.release();
+    }
+});
+
+// Delete a category. Subcategories must be moved or deleted first; its products stay, and
+// those that had it as their main category fall back to one of their other categories.
+app.delete('/api/categories/:id', auth.authenticate, auth.requirePermission('products:write'), async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const categoryId = parseInt(req.params.id);
+
+        const childrenResult = await client.query('SELECT COUNT(*) as count FROM categories WHERE parent_id = $1', [categoryId]);
+        if (parseInt(childrenResult.rows[0].count) > 0) {
+            return res.status(409).json({ error: 'Category has subcategories; move or delete them first' });
+        }
+
+        // Items in the category would silently fall back to the general tax rate
+        const taxRatesResult = await client.query('SELECT id, name FROM tax_rates WHERE category_id = $1 ORDER BY id', [categoryId]);
+        if (taxRatesResult.rows.length > 0) {
+            return res.status(409).json({
+                error: `Category is used by tax rates: ${taxRatesResult.rows.map(rate => rate.name).join(', ')}; change or delete them first`,
+                tax_rate_ids: taxRatesResult.rows.map(rate => rate.id)
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query('DELETE FROM categories WHERE id = $1 RETURNING *', [categoryId]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        await client.query(`
+            UPDATE products p
+            SET category = (
+                SELECT c.name FROM product_categories pc
+                JOIN categories c ON pc.category_id = c.id
+                WHERE pc.product_id = p.id
+                ORDER BY c.position, c.id
+                LIMIT 1
+            )
+            WHERE p.category = $1
+        `, [result.rows[0].name]);
+
+        await client.query('COMMIT');
+
+        // Clear cache
+        await invalidateProducts([], { lists: true, categories: true });
+
+        res.json({ message: 'Category deleted successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting category:', error);
+        res.status(500).json({ error: 'Failed to delete category' });
+    } finally {
+        client.release();
+    }
+});
+
 app.listen(port, () => {
     console.log(`Product Service running on port ${port}`);
     console.log('Available endpoints:');
     console.log('  GET    /health');
     console.log('  GET    /api/products');
+    console.log('  GET    /api/products/search');
+    console.log('  POST   /api/products/import');
+    console.log('  GET    /api/products/import/:jobId');
+    console.log('  GET    /api/products/export');
     console.log('  GET    /api/products/:id');
     console.log('  GET    /api/products/category/:category');
     console.log('  POST   /api/products');
     console.log('  PUT    /api/products/:id');
+    console.log('  PUT    /api/products/:id/categories');
     console.log('  DELETE /api/products/:id');
+    console.log('  PUT    /api/products/:id/options');
+    console.log('  POST   /api/products/:id/variants');
+    console.log('  PUT    /api/products/:id/variants/:variantId');
+    console.log('  DELETE /api/products/:id/variants/:variantId');
+    console.log('  GET    /api/products/:id/price-schedules');
+    console.log('  POST   /api/products/:id/price-schedules');
+    console.log('  DELETE /api/products/:id/price-schedules/:scheduleId');
+    console.log('  GET    /api/products/:id/price-history');
+    console.log('  POST   /api/products/:id/images');
+    console.log('  GET    /api/products/:id/images');
+    console.log('  PUT    /api/products/:id/images/order');
+    console.log('  PUT    /api/products/:id/images/:imageId');
+    console.log('  DELETE /api/products/:id/images/:imageId');
+    console.log('  GET    /api/images/*');
+    console.log('  GET    /api/products/:id/reviews');
+    console.log('  POST   /api/products/:id/reviews');
+    console.log('  GET    /api/reviews');
+    console.log('  PUT    /api/reviews/:id');
+    console.log('  DELETE /api/reviews/:id');
+    console.log('  PATCH  /api/reviews/:id/status');
+    console.log('  POST   /api/reviews/:id/helpful');
+    console.log('  DELETE /api/reviews/:id/helpful');
+    console.log('  GET    /api/categories');
+    console.log('  GET    /api/categories/:category');
+    console.log('  GET    /api/categories/:category/products');
+    console.log('  POST   /api/categories');
+    console.log('  PUT    /api/categories/:id');
+    console.log('  DELETE /api/categories/:id');
 });
 
 // Graceful shutdown
@@ -0,0 +1,246 @@
+// Scheduled pricing, sales and price history for product-service
+//
+// products.price and product_variants.price are the regular prices. Scheduled changes replace
+// them from a given time; sales lower the price for a window without touching them. What
+// something sells for right now is in the current_prices view (database/init.sql), which
+// order-service charges from as well.
+
+const pricingError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const SCHEDULE_KINDS = ['change', 'sale'];
+
+// ?state= filters for schedules; "upcoming" includes due changes the scheduler has not yet
+// applied, and "past" covers applied, ended and cancelled ones
+const SCHEDULE_STATES = {
+    upcoming: "status = 'scheduled' AND (starts_at > NOW() OR kind = 'change')",
+    active: "status = 'scheduled' AND kind = 'sale' AND starts_at <= NOW() AND ends_at > NOW()",
+    past: "(status <> 'scheduled' OR (kind = 'sale' AND ends_at <= NOW()))"
+};
+
+// Add a price_history row when a regular price changes. source is e.g. 'manual', 'import' or
+// 'scheduled'. Call with the transaction client that made the change.
+const recordPriceChange = async (db, { productId, variantId = null, previousPrice = null, price, source, scheduleId = null, changedBy = null }) => {
+    const changed = previousPrice === null || price === null
+        ? previousPrice !== price
+        : Number(previousPrice) !== Number(price);
+
+    if (!changed) {
+        return;
+    }
+
+    await db.query(`
+        INSERT INTO price_history (product_id, variant_id, previous_price, price, source, schedule_id, changed_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [productId, variantId, previousPrice, price, source, scheduleId, changedBy]);
+};
+
+const isValidTime = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+
+const createPricing = (pool, { onChange = async () => {} } = {}) => {
+    // Current prices of products and their variants, keyed "<product id>" and "<product id>:<variant id>"
+    const getPrices = async (productIds) => {
+        const result = await pool.query(
+            'SELECT * FROM current_prices WHERE product_id = ANY($1)',
+            [productIds]
+        );
+
+        return new Map(result.rows.map(row => [
+            row.variant_id ? `${row.product_id}:${row.variant_id}` : String(row.product_id),
+            row
+        ]));
+    };
+
+    const listSchedules = async (productId, state = null) => {
+        const result = await pool.query(`
+            SELECT * FROM price_schedules
+            WHERE product_id = $1 ${state ? `AND ${SCHEDULE_STATES[state]}` : ''}
+            ORDER BY starts_at DESC, id DESC
+        `, [productId]);
+
+        return result.rows;
+    };
+
+    const listHistory = async (productId, { page = 1, limit = 50 } = {}) => {
+        const result = await pool.query(`
+            SELECT h.*, COUNT(*) OVER() as total_count, v.sku as variant_sku
+            FROM price_history h
+            LEFT JOIN product_variants v ON h.variant_id = v.id
+            WHERE h.product_id = $1
+            ORDER BY h.changed_at DESC, h.id DESC
+            LIMIT $2 OFFSET $3
+        `, [productId, limit, (page - 1) * limit]);
+
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+        return {
+            history: result.rows.map(({ total_count, ...entry }) => entry),
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        };
+    };
+
+    // Schedule a price change ({ kind: 'change', price, starts_at }) or a sale
+    // ({ kind: 'sale', price, starts_at, ends_at }); starts_at defaults to now
+    const createSchedule = async (productId, { kind, price, starts_at, ends_at, variant_id, note }, createdBy = null) => {
+        if (!SCHEDULE_KINDS.includes(kind)) {
+            throw pricingError(`kind must be one of ${SCHEDULE_KINDS.join(', ')}`);
+        }
+        if (price === undefined || price === null || isNaN(Number(price)) || Number(price) < 0) {
+            throw pricingError('price must be a non-negative number');
+        }
+        if (starts_at !== undefined && !isValidTime(starts_at)) {
+            throw pricingError('starts_at must be an ISO 8601 date and time');
+        }
+        if (kind === 'sale' && !isValidTime(ends_at)) {
+            throw pricingError('Sales need an ends_at (ISO 8601 date and time)');
+        }
+        if (kind === 'change' && ends_at !== undefined) {
+            throw pricingError('Price changes have no ends_at; schedule a sale for a temporary price');
+        }
+
+        const startsAt = starts_at || new Date().toISOString();
+        if (kind === 'sale' && Date.parse(ends_at) <= Math.max(Date.parse(startsAt), Date.now())) {
+            throw pricingError('ends_at must be after starts_at and in the future');
+        }
+
+        const productResult = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (productResult.rows.length === 0) {
+            throw pricingError('Product not found', 404);
+        }
+
+        if (variant_id !== undefined && variant_id !== null) {
+            const variantResult = await pool.query(
+                'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+                [variant_id, productId]
+            );
+            if (variantResult.rows.length === 0) {
+                throw pricingError('Variant not found', 404);
+            }
+        }
+
+        const result = await pool.query(`
+            INSERT INTO price_schedules (product_id, variant_id, kind, price, starts_at, ends_at, note, created_by)
+            VALUES ($1, $2, $3, $4, $5::timestamptz, $6::timestamptz, $7, $8)
+            RETURNING *
+        `, [productId, variant_id || null, kind, Number(price).toFixed(2), startsAt, ends_at || null, note || null, createdBy]);
+
+        // A schedule starting now changes the current price straight away
+        await onChange([productId]);
+
+        return result.rows[0];
+    };
+
+    // Cancel a change that has not been applied or a sale that has not ended
+    const cancelSchedule = async (productId, scheduleId) => {
+        const result = await pool.query(`
+            UPDATE price_schedules
+            SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND product_id = $2 AND status = 'scheduled' AND (kind = 'change' OR ends_at > NOW())
+            RETURNING *
+        `, [scheduleId, productId]);
+
+        if (result.rows.length === 0) {
+            throw pricingError('No upcoming or active price schedule with that ID', 404);
+        }
+
+        await onChange([productId]);
+
+        return result.rows[0];
+    };
+
+    // Write due price changes to the products and variants, recording each in price_history.
+    // Returns the ids of the products changed.
+    const applyDueChanges = async () => {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // SKIP LOCKED lets several instances run the scheduler without applying a change twice
+            const dueResult = await client.query(`
+                SELECT * FROM price_schedules
+                WHERE kind = 'change' AND status = 'scheduled' AND starts_at <= NOW()
+                ORDER BY starts_at, id
+                FOR UPDATE SKIP LOCKED
+            `);
+
+            for (const schedule of dueResult.rows) {
+                const target = schedule.variant_id
+                    ? await client.query('SELECT price FROM product_variants WHERE id = $1 FOR UPDATE', [schedule.variant_id])
+                    : await client.query('SELECT price FROM products WHERE id = $1 FOR UPDATE', [schedule.product_id]);
+
+                if (schedule.variant_id) {
+                    await client.query('UPDATE product_variants SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [schedule.price, schedule.variant_id]);
+                } else {
+                    await client.query('UPDATE products SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [schedule.price, schedule.product_id]);
+                }
+
+                await recordPriceChange(client, {
+                    productId: schedule.product_id,
+                    variantId: schedule.variant_id,
+                    previousPrice: target.rows.length > 0 ? target.rows[0].price : null,
+                    price: schedule.price,
+                    source: 'scheduled',
+                    scheduleId: schedule.id,
+                    changedBy: schedule.created_by
+                });
+
+                await client.query(
+                    "UPDATE price_schedules SET status = 'applied', applied_at = CURRENT_TIMESTAMP WHERE id = $1",
+                    [schedule.id]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            return [...new Set(dueResult.rows.map(schedule => schedule.product_id))];
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    };
+
+    // Products whose sales started or ended in the last `seconds`
+    const recentSaleBoundaries = async (seconds) => {
+        const result = await pool.query(`
+            SELECT DISTINCT product_id FROM price_schedules
+            WHERE kind = 'sale' AND status = 'scheduled'
+              AND (starts_at BETWEEN NOW() - $1::int * INTERVAL '1 second' AND NOW()
+                OR ends_at BETWEEN NOW() - $1::int * INTERVAL '1 second' AND NOW())
+        `, [seconds]);
+
+        return result.rows.map(row => row.product_id);
+    };
+
+    // Apply due changes and report products whose price moved since the last run. Sale
+    // boundaries are looked for over two intervals, so a late run does not miss one.
+    const startScheduler = (intervalSeconds = 60) => setInterval(async () => {
+        try {
+            const productIds = [...await applyDueChanges(), ...await recentSaleBoundaries(intervalSeconds * 2)];
+
+            if (productIds.length > 0) {
+                await onChange([...new Set(productIds)]);
+            }
+        } catch (err) {
+            console.error('Error running price scheduler:', err);
+        }
+    }, intervalSeconds * 1000).unref();
+
+    return {
+        getPrices,
+        listSchedules,
+        listHistory,
+        createSchedule,
+        cancelSchedule,
+        applyDueChanges,
+        startScheduler
+    };
+};
+
+module.exports = { SCHEDULE_STATES, recordPriceChange, createPricing };
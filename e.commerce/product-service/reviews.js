@@ -0,0 +1,273 @@
+// Product reviews and ratings for product-service
+//
+// Customers post one review per product. Reviews start out pending and only approved ones are
+// shown or counted in a product's rating. Purchases are checked against order-service's orders,
+// which live in the same database.
+
+const reviewError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const REVIEW_SORTS = {
+    newest: 'r.created_at DESC',
+    oldest: 'r.created_at ASC',
+    highest: 'r.rating DESC, r.created_at DESC',
+    lowest: 'r.rating ASC, r.created_at DESC',
+    helpful: 'r.helpful_count DESC, r.created_at DESC'
+};
+
+// Reviewer names are hidden once the account has been anonymised
+const REVIEW_SELECT = `
+    SELECT
+        r.id, r.product_id, r.user_id, r.rating, r.title, r.body, r.status, r.verified_purchase,
+        r.helpful_count, r.moderation_note, r.moderated_at, r.created_at, r.updated_at,
+        CASE WHEN u.anonymized_at IS NULL THEN u.username END as reviewer
+    FROM product_reviews r
+    LEFT JOIN users u ON r.user_id = u.id
+`;
+
+// Check rating, title and body from a request; `partial` allows leaving fields out
+const validateReview = ({ rating, title, body }, { partial = false } = {}) => {
+    if (rating !== undefined || !partial) {
+        const value = Number(rating);
+        if (!Number.isInteger(value) || value < 1 || value > 5) {
+            throw reviewError('rating must be a whole number from 1 to 5');
+        }
+    }
+    if (title !== undefined && title !== null && String(title).length > 200) {
+        throw reviewError('title must be at most 200 characters');
+    }
+    if (body !== undefined && body !== null && String(body).length > 5000) {
+        throw reviewError('body must be at most 5000 characters');
+    }
+};
+
+const createReviews = (pool, { requireVerifiedPurchase = false } = {}) => {
+    // Whether the user has an order for the product that was not cancelled
+    const hasPurchased = async (userId, productId) => {
+        const result = await pool.query(`
+            SELECT EXISTS (
+                SELECT 1 FROM order_items oi
+                JOIN orders o ON oi.order_id = o.id
+                WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status <> 'cancelled'
+            ) as purchased
+        `, [userId, productId]);
+
+        return result.rows[0].purchased;
+    };
+
+    // Average rating, count and per-star counts of approved reviews, keyed by product id
+    const getSummaries = async (productIds) => {
+        const result = await pool.query(`
+            SELECT product_id, rating, COUNT(*)::int as count
+            FROM product_reviews
+            WHERE product_id = ANY($1) AND status = 'approved'
+            GROUP BY product_id, rating
+        `, [productIds]);
+
+        return new Map(productIds.map(productId => {
+            const rows = result.rows.filter(row => row.product_id === productId);
+            const count = rows.reduce((total, row) => total + row.count, 0);
+            const sum = rows.reduce((total, row) => total + row.rating * row.count, 0);
+            const distribution = Object.fromEntries([5, 4, 3, 2, 1].map(rating => [
+                rating,
+                (rows.find(row => row.rating === rating) || { count: 0 }).count
+            ]));
+
+            return [productId, {
+                average: count > 0 ? Math.round((sum / count) * 100) / 100 : null,
+                count,
+                distribution
+            }];
+        }));
+    };
+
+    const getReview = async (reviewId) => {
+        const result = await pool.query(`${REVIEW_SELECT} WHERE r.id = $1`, [reviewId]);
+        return result.rows[0] || null;
+    };
+
+    // A page of reviews; productId, status and rating are optional filters
+    const listReviews = async ({ productId = null, status = null, rating = null, sort = 'newest', page = 1, limit = 20 }) => {
+        const params = [];
+        const conditions = [];
+
+        if (productId !== null) {
+            params.push(productId);
+            conditions.push(`r.product_id = $${params.length}`);
+        }
+        if (status !== null) {
+            params.push(status);
+            conditions.push(`r.status = $${params.length}`);
+        }
+        if (rating !== null) {
+            params.push(rating);
+            conditions.push(`r.rating = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await pool.query(`
+            SELECT *, COUNT(*) OVER() as total_count FROM (${REVIEW_SELECT} ${where}) r
+            ORDER BY ${REVIEW_SORTS[sort]}, r.id
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, (page - 1) * limit]);
+
+        const total = result.rows.length > 0
+            ? parseInt(result.rows[0].total_count)
+            : parseInt((await pool.query(`SELECT COUNT(*) as total FROM product_reviews r ${where}`, params)).rows[0].total);
+
+        return {
+            reviews: result.rows.map(({ total_count, ...review }) => review),
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        };
+    };
+
+    const createReview = async ({ productId, userId, rating, title, body }) => {
+        validateReview({ rating, title, body });
+
+        const productResult = await pool.query('SELECT id FROM products WHERE id = $1 AND is_active = true', [productId]);
+        if (productResult.rows.length === 0) {
+            throw reviewError('Product not found', 404);
+        }
+
+        const verified = await hasPurchased(userId, productId);
+        if (requireVerifiedPurchase && !verified) {
+            throw reviewError('Only customers who have bought this product can review it', 403);
+        }
+
+        try {
+            const result = await pool.query(`
+                INSERT INTO product_reviews (product_id, user_id, rating, title, body, verified_purchase)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id
+            `, [productId, userId, Number(rating), title, body, verified]);
+
+            return getReview(result.rows[0].id);
+        } catch (err) {
+            if (err.code === '23505') { // Unique constraint violation
+                throw reviewError('You have already reviewed this product', 409);
+            }
+            throw err;
+        }
+    };
+
+    // The author edits their review; it goes back to pending so the change is moderated too.
+    // Only the fields sent change, and title and body can be cleared with null.
+    const updateReview = async (reviewId, userId, { rating, title, body }) => {
+        validateReview({ rating, title, body }, { partial: true });
+
+        const result = await pool.query(`
+            UPDATE product_reviews
+            SET rating = COALESCE($1, rating),
+                title = CASE WHEN $2::boolean THEN $3 ELSE title END,
+                body = CASE WHEN $4::boolean THEN $5 ELSE body END,
+                status = 'pending', moderation_note = NULL, moderated_by = NULL, moderated_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $6 AND user_id = $7
+            RETURNING id
+        `, [
+            rating !== undefined ? Number(rating) : null,
+            title !== undefined, title === undefined ? null : title,
+            body !== undefined, body === undefined ? null : body,
+            reviewId, userId
+        ]);
+
+        if (result.rows.length === 0) {
+            throw reviewError('Review not found', 404);
+        }
+
+        return getReview(reviewId);
+    };
+
+    // Returns false when there was no such review
+    const deleteReview = async (reviewId) => {
+        const result = await pool.query('DELETE FROM product_reviews WHERE id = $1', [reviewId]);
+        return result.rowCount > 0;
+    };
+
+    const moderateReview = async (reviewId, { status, note, moderatorId }) => {
+        if (!REVIEW_STATUSES.includes(status)) {
+            throw reviewError(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+        }
+
+        const result = await pool.query(`
+            UPDATE product_reviews
+            SET status = $1, moderation_note = $2, moderated_by = $3, moderated_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+            RETURNING id
+        `, [status, note || null, moderatorId, reviewId]);
+
+        if (result.rows.length === 0) {
+            throw reviewError('Review not found', 404);
+        }
+
+        return getReview(reviewId);
+    };
+
+    // Mark an approved review as helpful, once per user; returns { product_id, helpful_count }
+    const voteHelpful = async (reviewId, userId) => {
+        const review = await getReview(reviewId);
+
+        if (!review || review.status !== 'approved') {
+            throw reviewError('Review not found', 404);
+        }
+        if (review.user_id === userId) {
+            throw reviewError('You cannot vote on your own review');
+        }
+
+        const result = await pool.query(`
+            WITH vote AS (
+                INSERT INTO review_votes (review_id, user_id) VALUES ($1, $2)
+                ON CONFLICT DO NOTHING
+                RETURNING review_id
+            )
+            UPDATE product_reviews
+            SET helpful_count = helpful_count + (SELECT COUNT(*) FROM vote)
+            WHERE id = $1
+            RETURNING product_id, helpful_count
+        `, [reviewId, userId]);
+
+        return result.rows[0];
+    };
+
+    // Take back a helpful vote; returns { product_id, helpful_count }
+    const removeVote = async (reviewId, userId) => {
+        const result = await pool.query(`
+            WITH vote AS (
+                DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2
+                RETURNING review_id
+            )
+            UPDATE product_reviews
+            SET helpful_count = helpful_count - (SELECT COUNT(*) FROM vote)
+            WHERE id = $1
+            RETURNING product_id, helpful_count
+        `, [reviewId, userId]);
+
+        if (result.rows.length === 0) {
+            throw reviewError('Review not found', 404);
+        }
+
+        return result.rows[0];
+    };
+
+    return {
+        hasPurchased,
+        getSummaries,
+        getReview,
+        listReviews,
+        createReview,
+        updateReview,
+        deleteReview,
+        moderateReview,
+        voteHelpful,
+        removeVote
+    };
+};
+
+module.exports = { REVIEW_STATUSES, REVIEW_SORTS, createReviews };
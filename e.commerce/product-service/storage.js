@@ -0,0 +1,125 @@
+// Pluggable file storage for product-service (product images)
+// STORAGE_DRIVER picks one: local (default, files under STORAGE_LOCAL_DIR) or s3 (any
+// S3-compatible object store, configured with the S3_* variables)
+//
+// A driver stores objects by key, e.g. products/12/<id>/web.webp, and has
+// put(key, body, contentType), get(key) and remove(key). get resolves to
+// { stream, contentType, size, lastModified }, or null when there is no such object.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.avif': 'image/avif'
+};
+
+// Files on the local disk; mount STORAGE_LOCAL_DIR on a volume so uploads survive restarts
+const createLocalDriver = () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'uploads'));
+
+    // Keys come from URLs when files are served, so never let one point outside the root
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        put: async (key, body) => {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+        },
+        get: async (key) => {
+            const filePath = resolve(key);
+            const stats = await fs.promises.stat(filePath).catch(() => null);
+
+            if (!stats || !stats.isFile()) {
+                return null;
+            }
+
+            return {
+                stream: fs.createReadStream(filePath),
+                contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+                size: stats.size,
+                lastModified: stats.mtime
+            };
+        },
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+// S3 or a compatible store (MinIO, R2, ...). S3_ENDPOINT is only needed for non-AWS stores;
+// credentials come from the usual AWS_* variables.
+const createS3Driver = () => {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+
+    return {
+        put: (key, body, contentType) => client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType
+        })),
+        get: async (key) => {
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+                return {
+                    stream: result.Body,
+                    contentType: result.ContentType || CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+                    size: result.ContentLength,
+                    lastModified: result.LastModified
+                };
+            } catch (error) {
+                if (error.name === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    };
+};
+
+const drivers = {
+    local: createLocalDriver,
+    s3: createS3Driver
+};
+
+// Add another driver; factory returns an object with put, get and remove
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+    const factory = drivers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    return factory();
+};
+
+module.exports = { createStorage, registerDriver };
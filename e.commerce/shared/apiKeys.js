@@ -0,0 +1,105 @@
+// API keys for service-to-service calls (batch jobs, the warehouse system, other services)
+//
+// Keys are created and rotated in login-service and sent in the X-API-Key header. Only an
+// HMAC of each key, peppered with API_SECRET, is stored in the shared api_keys table, so every
+// service can check a key with its own database connection.
+
+const crypto = require('crypto');
+
+const API_KEY_HEADER = 'x-api-key';
+const KEY_PREFIX = 'fck';
+
+// Every service must use the same API_SECRET, or keys created in login-service will not match.
+// The development default is public, so a production service refuses to start without it.
+if (!process.env.API_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('API_SECRET must be set in production');
+  }
+  console.warn('API_SECRET is not set; using the development default');
+}
+
+const API_SECRET = process.env.API_SECRET || 'change-this-api-secret-in-production';
+
+const hashApiKey = (key, secret = API_SECRET) =>
+  crypto.createHmac('sha256', secret).update(key).digest('hex');
+
+// New key like fck_1a2b3c4d_<secret>; the middle part identifies it in listings and logs
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  return { key, prefix };
+};
+
+const createApiKeyVerifier = ({ pool, secret = API_SECRET }) => {
+  // Returns the principal for a valid key, or null. Permissions are the key's scopes, so
+  // the same permission checks work for users and keys.
+  const verify = async (key) => {
+    if (typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      SELECT id, name, scopes, last_used_at < NOW() - INTERVAL '1 minute' as stale
+      FROM api_keys
+      WHERE key_hash = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [hashApiKey(key, secret)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const apiKey = result.rows[0];
+
+    // Track usage at most once a minute per key
+    if (apiKey.stale !== false) {
+      pool.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [apiKey.id])
+        .catch(err => console.error('Error updating API key usage:', err.message));
+    }
+
+    return {
+      api_key_id: apiKey.id,
+      api_key_name: apiKey.name,
+      roles: [],
+      permissions: apiKey.scopes
+    };
+  };
+
+  // Express middleware that sets req.user from the X-API-Key header, or hands over to
+  // `fallback` (e.g. bearer token authentication) when the header is absent
+  const authenticate = (fallback) => async (req, res, next) => {
+    const key = req.headers[API_KEY_HEADER];
+
+    if (!key) {
+      if (fallback) {
+        return fallback(req, res, next);
+      }
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    try {
+      const principal = await verify(key);
+
+      if (!principal) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      req.user = principal;
+      next();
+    } catch (err) {
+      console.error('Error verifying API key:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+
+  return { verify, authenticate };
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  hashApiKey,
+  generateApiKey,
+  createApiKeyVerifier
+};
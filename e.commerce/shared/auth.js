@@ -0,0 +1,182 @@
+// Offline access token verification for product-service and order-service
+//
+// Tokens are checked against the JWKS published by login-service, fetched once and cached,
+// so requests never call back into login-service. Sessions revoked in login-service are
+// picked up from the revocation markers it writes to Redis. Pass an API key verifier (see
+// apiKeys.js) to also accept service API keys in the X-API-Key header.
+
+const crypto = require('crypto');
+
+// Must match the key login-service writes when it revokes a session
+const REVOKED_SESSION_PREFIX = 'revoked-session:';
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// An unknown kid triggers a JWKS refetch at most this often, so junk tokens cannot hammer login-service
+const MIN_REFETCH_MS = 30 * 1000;
+
+const authError = (message, status = 401) => Object.assign(new Error(message), { status });
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const createTokenVerifier = ({
+  jwksUrl = process.env.AUTH_JWKS_URL || 'http://login-service:3001/.well-known/jwks.json',
+  issuer = process.env.AUTH_ISSUER || 'login-service',
+  redisClient = null,
+  apiKeys = null,
+  cacheSeconds = 300
+} = {}) => {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let inFlight = null;
+
+  const fetchKeys = async () => {
+    const response = await fetch(jwksUrl);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+
+    const { keys: jwks } = await response.json();
+    keys = new Map(jwks.map(jwk => [jwk.kid, {
+      algorithm: jwk.alg,
+      publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    }]));
+    fetchedAt = Date.now();
+  };
+
+  const refreshKeys = () => {
+    if (!inFlight) {
+      inFlight = fetchKeys().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  };
+
+  const getKey = async (kid) => {
+    const age = Date.now() - fetchedAt;
+
+    if (age > cacheSeconds * 1000 || (!keys.has(kid) && age > MIN_REFETCH_MS)) {
+      try {
+        await refreshKeys();
+      } catch (err) {
+        // Keep using the cached keys while login-service is unreachable
+        console.error('Error fetching JWKS:', err.message);
+      }
+    }
+
+    return keys.get(kid);
+  };
+
+  const isRevoked = async (sessionId) => {
+    if (!redisClient) {
+      return false;
+    }
+
+    try {
+      return (await redisClient.exists(`${REVOKED_SESSION_PREFIX}${sessionId}`)) === 1;
+    } catch (err) {
+      // Fail open: access tokens are short-lived, and a Redis outage should not take the service down
+      console.error('Error checking session revocation:', err.message);
+      return false;
+    }
+  };
+
+  // Returns the token payload, or throws an error with a status and a client-safe message
+  const verify = async (token) => {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw authError('Invalid token', 403);
+    }
+
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+    } catch (err) {
+      throw authError('Invalid token', 403);
+    }
+
+    if (!SUPPORTED_ALGORITHMS.includes(header.alg)) {
+      throw authError('Invalid token', 403);
+    }
+
+    const key = await getKey(header.kid);
+    if (!key || key.algorithm !== header.alg) {
+      throw authError('Invalid token', 403);
+    }
+
+    const signatureValid = crypto.verify(
+      'sha256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      header.alg === 'ES256' ? { key: key.publicKey, dsaEncoding: 'ieee-p1363' } : key.publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+
+    if (!signatureValid) {
+      throw authError('Invalid token', 403);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp <= now) {
+      throw authError('Access token expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf > now) {
+      throw authError('Invalid token', 403);
+    }
+    if (issuer && payload.iss !== issuer) {
+      throw authError('Invalid token', 403);
+    }
+
+    // Only access tokens are bound to a session; this rules out e.g. the intermediate 2FA token
+    if (!payload.session_id) {
+      throw authError('Invalid token', 403);
+    }
+
+    if (await isRevoked(payload.session_id)) {
+      throw authError('Invalid or expired session');
+    }
+
+    return payload;
+  };
+
+  // Express middleware that sets req.user from a Bearer token
+  const authenticateBearer = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    try {
+      req.user = await verify(token);
+      next();
+    } catch (err) {
+      res.status(err.status || 403).json({ error: err.status ? err.message : 'Invalid token' });
+    }
+  };
+
+  // An X-API-Key header takes precedence; without one the request needs a Bearer token
+  const authenticate = apiKeys ? apiKeys.authenticate(authenticateBearer) : authenticateBearer;
+
+  // Express middleware for after authenticate, e.g. requirePermission('products:write')
+  const requirePermission = (...requiredPermissions) => (req, res, next) => {
+    const granted = (req.user && req.user.permissions) || [];
+    const missing = requiredPermissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        required: requiredPermissions
+      });
+    }
+
+    next();
+  };
+
+  return { verify, authenticate, requirePermission };
+};
+
+module.exports = { createTokenVerifier, REVOKED_SESSION_PREFIX };
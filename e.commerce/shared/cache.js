@@ -0,0 +1,167 @@
+// Redis cache with tag-based invalidation, shared so every service invalidates the same tags
+//
+// Each entry lists tags for what it was built from (e.g. product:12 for a page showing product 12).
+// Loads and invalidations are numbered from one Redis counter, so the order is the same for every
+// instance whatever its clock says. An entry whose load started before the last invalidation of
+// one of its tags is treated as a miss, so nothing has to be found and deleted.
+//
+// Entries past their TTL are still served for staleSeconds while a single request reloads them
+// in the background, and when an entry is missing only one request per key loads it while the
+// others wait for the result.
+
+const ENTRY_PREFIX = 'cache:entry:';
+const TAG_PREFIX = 'cache:tag:';
+const LOCK_PREFIX = 'cache:lock:';
+const SEQUENCE_KEY = 'cache:sequence';
+
+// Tags used by product-service entries; order-service invalidates them when stock changes
+const PRODUCT_LIST_TAG = 'products:list'; // any list, search or count of products
+const CATEGORY_TAG = 'categories';
+const STOCK_TAG = 'stock'; // entries that filter on stock, e.g. in-stock searches
+const productTag = (productId) => `product:${productId}`;
+
+// Invalidations are remembered for longer than any entry lives
+const TAG_TTL_SECONDS = 24 * 60 * 60;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createCache = (redisClient, { staleSeconds = 60, lockMs = 10 * 1000, waitMs = 2 * 1000 } = {}) => {
+  // Loads running in this process, so concurrent requests for a key share one
+  const loading = new Map();
+
+  // The cached entry, or null when there is none or one of its tags was invalidated after it loaded
+  const read = async (key) => {
+    const raw = await redisClient.get(`${ENTRY_PREFIX}${key}`);
+    if (!raw) {
+      return null;
+    }
+
+    const entry = JSON.parse(raw);
+
+    if (entry.tags.length > 0) {
+      const invalidated = await redisClient.mGet(entry.tags.map(tag => `${TAG_PREFIX}${tag}`));
+      if (invalidated.some(sequence => sequence !== null && Number(sequence) > entry.sequence)) {
+        return null;
+      }
+    }
+
+    return { value: entry.value, fresh: Date.now() < entry.freshUntil };
+  };
+
+  // Run the loader and store what it returns; null and undefined are not cached
+  const store = async (key, { ttlSeconds, tags = [] }, loader) => {
+    // Taken before loading, so anything invalidated during the load makes the entry a miss
+    const sequence = await redisClient.incr(SEQUENCE_KEY);
+    const value = await loader();
+
+    if (value !== null && value !== undefined) {
+      const entry = {
+        value,
+        tags: typeof tags === 'function' ? tags(value) : tags,
+        sequence,
+        freshUntil: Date.now() + ttlSeconds * 1000
+      };
+
+      await redisClient.set(`${ENTRY_PREFIX}${key}`, JSON.stringify(entry), { EX: ttlSeconds + staleSeconds });
+    }
+
+    return value;
+  };
+
+  const acquireLock = async (key) => (await redisClient.set(`${LOCK_PREFIX}${key}`, '1', { NX: true, PX: lockMs })) === 'OK';
+
+  const releaseLock = (key) => redisClient.del(`${LOCK_PREFIX}${key}`);
+
+  const loadOnce = (key, load) => {
+    if (!loading.has(key)) {
+      loading.set(key, load().finally(() => loading.delete(key)));
+    }
+    return loading.get(key);
+  };
+
+  // Load a missing entry. If another instance holds the lock it is already loading it, so wait
+  // for its result for up to waitMs before loading it here as well.
+  const loadMissing = (key, options, loader) => loadOnce(key, async () => {
+    const locked = await acquireLock(key);
+
+    if (!locked) {
+      for (let waited = 0; waited < waitMs; waited += 50) {
+        await sleep(50);
+        const entry = await read(key);
+        if (entry) {
+          return entry.value;
+        }
+      }
+    }
+
+    try {
+      return await store(key, options, loader);
+    } finally {
+      if (locked) {
+        await releaseLock(key);
+      }
+    }
+  });
+
+  // Reload a stale entry unless this or another instance is already doing it
+  const refresh = (key, options, loader) => {
+    if (loading.has(key)) {
+      return;
+    }
+
+    loadOnce(key, async () => {
+      if (!(await acquireLock(key))) {
+        return;
+      }
+
+      try {
+        await store(key, options, loader);
+      } finally {
+        await releaseLock(key);
+      }
+    }).catch(err => console.error(`Error refreshing cache entry ${key}:`, err));
+  };
+
+  // Cached value for key, loaded with loader() on a miss. tags is a list, or a function of the
+  // loaded value for entries whose tags depend on it (e.g. the products in a list).
+  const wrap = async (key, { ttlSeconds, tags = [] }, loader) => {
+    const entry = await read(key);
+
+    if (entry && entry.fresh) {
+      return entry.value;
+    }
+
+    if (entry) {
+      refresh(key, { ttlSeconds, tags }, loader);
+      return entry.value;
+    }
+
+    return loadMissing(key, { ttlSeconds, tags }, loader);
+  };
+
+  // Make every entry with any of these tags a miss
+  const invalidate = async (...tags) => {
+    if (tags.length === 0) {
+      return;
+    }
+
+    const sequence = String(await redisClient.incr(SEQUENCE_KEY));
+    const multi = redisClient.multi();
+
+    for (const tag of new Set(tags)) {
+      multi.set(`${TAG_PREFIX}${tag}`, sequence, { EX: TAG_TTL_SECONDS });
+    }
+
+    await multi.exec();
+  };
+
+  return { wrap, invalidate };
+};
+
+module.exports = {
+  PRODUCT_LIST_TAG,
+  CATEGORY_TAG,
+  STOCK_TAG,
+  productTag,
+  createCache
+};
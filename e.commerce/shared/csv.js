@@ -0,0 +1,23 @@
+// CSV output, shared by every service that exports spreadsheets
+
+// A field, quoted when it has to be. Text starting with =, +, -, @, tab or carriage return is
+// prefixed with ' so spreadsheet apps do not run it as a formula; plain numbers such as -5 are
+// left alone.
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A CSV line, ending in CRLF
+const csvRow = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+module.exports = { csvValue, csvRow };
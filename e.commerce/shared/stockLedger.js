@@ -0,0 +1,160 @@
+// Inventory ledger, shared by product-service and order-service
+//
+// Every change to stock_quantity on products and product_variants goes through moveStock or
+// setStock, which record it in inventory_movements with a reason. The ledger is append-only, so
+// the movements for an item add up to its stock on hand. When a movement takes an item below its
+// reorder_threshold, alertLowStock sends an alert through the stock notifier
+// (shared/stockNotifier.js); call it after the transaction commits.
+
+const { createStockNotifier } = require('./stockNotifier');
+
+const ledgerError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const MOVEMENT_REASONS = ['sale', 'cancellation', 'restock', 'adjustment', 'return'];
+
+// Reasons staff can give for an adjustment; sales and cancellations are recorded by order-service
+const MANUAL_REASONS = ['restock', 'adjustment', 'return'];
+
+const createStockLedger = (pool, { notifier = createStockNotifier() } = {}) => {
+  // Change the stock of a product (variantId null) or variant by `change` and record why. Stock
+  // cannot go below zero. Call inside a transaction; returns the movement, with low_stock set
+  // when it took the item below its reorder threshold.
+  const moveStock = async (client, { productId = null, variantId = null, change, reason, orderId = null, note = null, createdBy = null }) => {
+    if (!MOVEMENT_REASONS.includes(reason)) {
+      throw ledgerError(`reason must be one of ${MOVEMENT_REASONS.join(', ')}`);
+    }
+
+    const result = variantId
+      ? await client.query(`
+        UPDATE product_variants v
+        SET stock_quantity = v.stock_quantity + $1, updated_at = CURRENT_TIMESTAMP
+        FROM products p
+        WHERE v.id = $2 AND p.id = v.product_id
+        RETURNING v.product_id, v.id as variant_id, v.stock_quantity, v.reorder_threshold, p.name, v.sku
+      `, [change, variantId])
+      : await client.query(`
+        UPDATE products
+        SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING id as product_id, NULL::int as variant_id, stock_quantity, reorder_threshold, name, sku
+      `, [change, productId]);
+
+    if (result.rows.length === 0) {
+      throw ledgerError(variantId ? `Variant with ID ${variantId} not found` : `Product with ID ${productId} not found`, 404);
+    }
+
+    const item = result.rows[0];
+
+    if (item.stock_quantity < 0) {
+      throw ledgerError(`Stock of ${item.name} cannot go below zero (on hand: ${item.stock_quantity - change})`, 409);
+    }
+
+    const movementResult = await client.query(`
+      INSERT INTO inventory_movements (product_id, variant_id, quantity_change, quantity_after, reason, order_id, note, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [item.product_id, item.variant_id, change, item.stock_quantity, reason, orderId, note, createdBy]);
+
+    const threshold = item.reorder_threshold;
+
+    return {
+      ...movementResult.rows[0],
+      name: item.name,
+      sku: item.sku,
+      reorder_threshold: threshold,
+      low_stock: threshold !== null && item.stock_quantity < threshold && item.stock_quantity - change >= threshold
+    };
+  };
+
+  // Set the stock of a product or variant to `quantity`, recording the difference. Returns the
+  // movement, or null when the stock was already at that quantity. Call inside a transaction.
+  const setStock = async (client, { productId = null, variantId = null, quantity, ...movement }) => {
+    const current = variantId
+      ? await client.query('SELECT stock_quantity FROM product_variants WHERE id = $1 FOR UPDATE', [variantId])
+      : await client.query('SELECT stock_quantity FROM products WHERE id = $1 FOR UPDATE', [productId]);
+
+    if (current.rows.length === 0) {
+      throw ledgerError(variantId ? `Variant with ID ${variantId} not found` : `Product with ID ${productId} not found`, 404);
+    }
+
+    const change = quantity - current.rows[0].stock_quantity;
+
+    return change === 0 ? null : moveStock(client, { productId, variantId, change, ...movement });
+  };
+
+  // Send an alert for each movement that took an item below its reorder threshold. A failed
+  // alert is logged rather than thrown, as the stock change has already happened.
+  const alertLowStock = async (movements) => {
+    for (const movement of movements.filter(candidate => candidate && candidate.low_stock)) {
+      try {
+        await notifier.send({
+          product_id: movement.product_id,
+          variant_id: movement.variant_id,
+          name: movement.name,
+          sku: movement.sku,
+          stock_quantity: movement.quantity_after,
+          reorder_threshold: movement.reorder_threshold,
+          reason: movement.reason,
+          order_id: movement.order_id,
+          movement_id: movement.id,
+          created_at: movement.created_at
+        });
+      } catch (err) {
+        console.error(`Error sending low-stock alert for product ${movement.product_id}:`, err.message);
+      }
+    }
+  };
+
+  // A page of movements, newest first; productId, variantId and reason are optional filters
+  const listMovements = async ({ productId = null, variantId = null, reason = null, page = 1, limit = 50 }) => {
+    const result = await pool.query(`
+      SELECT m.*, p.name as product_name, v.sku as variant_sku, COUNT(*) OVER() as total_count
+      FROM inventory_movements m
+      JOIN products p ON m.product_id = p.id
+      LEFT JOIN product_variants v ON m.variant_id = v.id
+      WHERE ($1::int IS NULL OR m.product_id = $1)
+        AND ($2::int IS NULL OR m.variant_id = $2)
+        AND ($3::text IS NULL OR m.reason = $3)
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $4 OFFSET $5
+    `, [productId, variantId, reason, limit, (page - 1) * limit]);
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    return {
+      movements: result.rows.map(({ total_count, ...movement }) => movement),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    };
+  };
+
+  // Active products and variants whose stock is below their reorder threshold, furthest below
+  // first. Products with variants keep their stock on the variants, so only those are listed.
+  const lowStockReport = async () => {
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT p.id as product_id, NULL::int as variant_id, p.name, p.sku, p.stock_quantity, p.reorder_threshold
+        FROM products p
+        WHERE p.is_active = true
+          AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = true)
+        UNION ALL
+        SELECT v.product_id, v.id, p.name, v.sku, v.stock_quantity, v.reorder_threshold
+        FROM product_variants v
+        JOIN products p ON v.product_id = p.id
+        WHERE v.is_active = true AND p.is_active = true
+      ) items
+      WHERE reorder_threshold IS NOT NULL AND stock_quantity < reorder_threshold
+      ORDER BY reorder_threshold - stock_quantity DESC, product_id, variant_id NULLS FIRST
+    `);
+
+    return result.rows.map(row => ({ ...row, shortfall: row.reorder_threshold - row.stock_quantity }));
+  };
+
+  return { moveStock, setStock, alertLowStock, listMovements, lowStockReport };
+};
+
+module.exports = { MOVEMENT_REASONS, MANUAL_REASONS, createStockLedger };
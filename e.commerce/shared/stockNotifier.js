@@ -0,0 +1,62 @@
+// Pluggable low-stock alert notifiers, shared by product-service and order-service
+// STOCK_ALERT_NOTIFIER picks one: webhook (POSTs each alert as JSON to STOCK_ALERT_WEBHOOK_URL,
+// e.g. a chat or purchasing system) or console (default)
+//
+// An alert is { product_id, variant_id, name, sku, stock_quantity, reorder_threshold, reason,
+// order_id, movement_id, created_at }.
+
+// POST alerts to an HTTP endpoint; STOCK_ALERT_WEBHOOK_SECRET, when set, is sent as a bearer token
+const createWebhookNotifier = () => {
+  const url = process.env.STOCK_ALERT_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('STOCK_ALERT_WEBHOOK_URL is required for the webhook stock notifier');
+  }
+
+  return {
+    send: async (alert) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.STOCK_ALERT_WEBHOOK_SECRET ? { Authorization: `Bearer ${process.env.STOCK_ALERT_WEBHOOK_SECRET}` } : {})
+        },
+        body: JSON.stringify({ type: 'stock.low', ...alert }),
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Stock alert webhook responded with ${response.status}`);
+      }
+    }
+  };
+};
+
+// Print alerts to stdout
+const createConsoleNotifier = () => ({
+  send: async (alert) => {
+    const item = alert.variant_id ? `${alert.name} (${alert.sku})` : alert.name;
+    console.log(`Low stock: ${item} has ${alert.stock_quantity} left, below its reorder threshold of ${alert.reorder_threshold}`);
+  }
+});
+
+const notifiers = {
+  webhook: createWebhookNotifier,
+  console: createConsoleNotifier
+};
+
+// Add another notifier (e.g. email or Slack); factory returns an object with send(alert)
+const registerNotifier = (name, factory) => {
+  notifiers[name] = factory;
+};
+
+const createStockNotifier = (name = process.env.STOCK_ALERT_NOTIFIER || 'console') => {
+  const factory = notifiers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown stock notifier: ${name}`);
+  }
+
+  return factory();
+};
+
+module.exports = { createStockNotifier, registerNotifier };